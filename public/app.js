@@ -1,6 +1,8 @@
 /* ============================================================
    DCF Model Excel Visualizer — app.js
-   Client-side parsing + backend auth & file storage
+   Dashboard rendering + backend auth & file storage
+   (extraction lives in parser.js, formatting in format.js, both
+   shared with the server)
    ============================================================ */
 
 (function () {
@@ -13,6 +15,7 @@
   const uploadError    = document.getElementById('upload-error');
   const dashboard      = document.getElementById('dashboard');
   const fileNameLabel  = document.getElementById('file-name');
+  const unitsLabel     = document.getElementById('units-label');
   const resetBtn       = document.getElementById('reset-btn');
 
   // Auth DOM refs
@@ -31,18 +34,109 @@
   const authSubmitBtn    = document.getElementById('auth-submit-btn');
   const authModalClose   = document.getElementById('auth-modal-close');
   const saveFileBtn      = document.getElementById('save-file-btn');
+  const exportFormatSelect = document.getElementById('export-format');
+  const exportReportBtn  = document.getElementById('export-report-btn');
+  const modelFormatSelect = document.getElementById('model-format');
+  const downloadModelBtn = document.getElementById('download-model-btn');
   const myFilesPanel     = document.getElementById('my-files');
   const myFilesList      = document.getElementById('my-files-list');
   const myFilesEmpty     = document.getElementById('my-files-empty');
   const navMyAccount     = document.getElementById('nav-my-account');
   const navMyFiles       = document.getElementById('nav-my-files');
 
+  // Label mapping DOM refs
+  const mappingScreen    = document.getElementById('mapping-screen');
+  const mappingIntro     = document.getElementById('mapping-intro');
+  const mappingList      = document.getElementById('mapping-list');
+  const mappingRemember  = document.getElementById('mapping-remember');
+  const mappingRememberWrap = document.getElementById('mapping-remember-wrap');
+  const mappingError     = document.getElementById('mapping-error');
+  const mappingApplyBtn  = document.getElementById('mapping-apply-btn');
+  const mappingCancelBtn = document.getElementById('mapping-cancel-btn');
+  const mapLabelsBtn     = document.getElementById('map-labels-btn');
+  const diagnosticsPanel = document.getElementById('diagnostics-panel');
+  const diagnosticsConfidence = document.getElementById('diagnostics-confidence');
+  const diagnosticsBody  = document.getElementById('diagnostics-body');
+  const midYearToggle    = document.getElementById('mid-year-toggle');
+  const valuationDateInput = document.getElementById('valuation-date');
+  const waccInputsEl     = document.getElementById('wacc-inputs');
+  const waccResultEl     = document.getElementById('wacc-result');
+  const waccUseBuilt     = document.getElementById('wacc-use-built');
+  const waccResetBtn     = document.getElementById('wacc-reset-btn');
+  const entryPriceInput  = document.getElementById('entry-price');
+  const irrModeSelect    = document.getElementById('irr-mode');
+  const mcDriversEl      = document.getElementById('mc-drivers');
+  const mcIterationsInput = document.getElementById('mc-iterations');
+  const mcOutputSelect   = document.getElementById('mc-output');
+  const mcTargetInput    = document.getElementById('mc-target');
+  const mcRunBtn         = document.getElementById('mc-run-btn');
+  const mcStatus         = document.getElementById('mc-status');
+  const mcResultsEl      = document.getElementById('mc-results');
+  const scenarioSelect   = document.getElementById('scenario-select');
+  const scenarioWeighted = document.getElementById('scenario-weighted');
+  const scenarioManageBtn = document.getElementById('scenario-manage-btn');
+  const scenarioEditor   = document.getElementById('scenario-editor');
+  const scenarioTable    = document.getElementById('scenario-table');
+  const scenarioNote     = document.getElementById('scenario-note');
+  const scenarioAddBtn   = document.getElementById('scenario-add-btn');
+  const scenarioSaveBtn  = document.getElementById('scenario-save-btn');
+  const whatIfControls   = document.getElementById('whatif-controls');
+  const whatIfMarker     = document.getElementById('whatif-marker');
+  const whatIfBadge      = document.getElementById('whatif-badge');
+  const whatIfResetBtn   = document.getElementById('whatif-reset-btn');
+  const sensitivityAddBtn = document.getElementById('sensitivity-add-btn');
+  const reverseBasisSelect = document.getElementById('reverse-basis');
+  const reverseAmountInput = document.getElementById('reverse-amount');
+  const reverseDriverSelect = document.getElementById('reverse-driver');
+  const reverseResultEl  = document.getElementById('reverse-result');
+  const tornadoRangesEl  = document.getElementById('tornado-ranges');
+  const tornadoOutputSelect = document.getElementById('tornado-output');
+  const tornadoNote      = document.getElementById('tornado-note');
+  const ffInputsEl       = document.getElementById('ff-inputs');
+  const ffOutputSelect   = document.getElementById('ff-output');
+  const ffExportBtn      = document.getElementById('ff-export-btn');
+
   // State
   let currentFile = null;  // the File object currently being viewed
+  let currentWorkbook = null;  // its parsed workbook, kept for re-parsing after mapping
+  let currentFileId = null;  // its id among the saved files, once it is one
+  let currentSavedScenarios = null;  // the scenarios saved with it, for models opened later
   let isLoggedIn = false;
+  let labelMappings = {};  // normalized label → canonical key (the user's own mappings)
 
   // Chart instances (so we can destroy on re-upload)
   let charts = [];
+  let liveRedraw = false;  // set while a what-if slider moves: charts update in place
+
+  // Money in the currency of the model on screen (parsed units)
+  let fmt = DCFFormat.formatter('$');
+  const { describeSource, periodLabels, waterfallSteps, tornadoLabel, TORNADO_DEFAULTS, SENSITIVITY_AXES,
+    defaultSensitivityTable, axisValues, axisTick, axesCorner } = DCFFormat;
+
+  // The model on screen, and how the valuation engine prices it
+  let currentData = null;
+  let valuationSettings = { midYear: false, valuationDate: null };
+  let valuationChart = null;  // redrawn on its own when the settings change
+  let revenueChart = null;  // redrawn on its own with the reverse-DCF path
+  let reverseResult = null;  // { driver, value, model } solved from the market price
+  let tornadoChart = null;  // redrawn on its own when the ranges change
+  let tornadoRanges = null;  // ± per driver, percentage points
+  let footballChart = null;  // redrawn on its own as ranges are entered
+  let footballInputs = null;  // user ranges { comps, precedents, week52: { low, high } } and price
+  let waccInputs = null;  // WACC build-up inputs as shown (the sheet's, then the user's edits)
+  let mcDrivers = null;  // Monte Carlo distributions as set up for the model on screen
+  let sensitivityTables = null;  // [{ rows, cols: { driver, step, count }, output, price }]
+  let mcResult = null;  // the last simulation of it
+  let mcChart = null;
+  let mcWorker = null;
+  let mcRunId = 0;  // ignores a worker's reply once another run or file replaced it
+  let baseData = null;  // the model as parsed, which scenarios are read against
+  let scenarios = [];  // [{ id, name, source: 'workbook' | 'user', key, probability, overrides }]
+  let activeScenarioId = null;
+  let scenarioModels = {};  // id → model, built on first use
+  let scenarioSeq = 0;
+  let whatIf = {};  // live overrides: { wacc, terminalGrowth, revenueGrowth: [by period], ebitdaMargin: [by period] }
+  let whatIfFrame = null;  // pending redraw while a slider moves
 
   // ────────────────────────────────────────────────
   //  AUTH UI
@@ -124,7 +218,9 @@
       currentFile = null;
       saveFileBtn.hidden = true;
       document.getElementById('sensitivity-table').innerHTML = '';
+      cancelMonteCarlo();
     }
+    closeMappingWizard();
     myFilesPanel.hidden = false;
     loadMyFiles();
     myFilesPanel.scrollIntoView({ behavior: 'smooth' });
@@ -141,7 +237,9 @@
       currentFile = null;
       saveFileBtn.hidden = true;
       document.getElementById('sensitivity-table').innerHTML = '';
+      cancelMonteCarlo();
     }
+    closeMappingWizard();
     myFilesPanel.hidden = false;
     loadMyFiles();
     myFilesPanel.scrollIntoView({ behavior: 'smooth' });
@@ -154,9 +252,11 @@
     authUsername.textContent = username;
     // Show save button if on dashboard
     if (!dashboard.hidden) saveFileBtn.hidden = false;
+    updateExportButton();
     // Show saved files panel and load files
     myFilesPanel.hidden = false;
     loadMyFiles();
+    loadLabelMappings();
   }
 
   function setLoggedOut() {
@@ -165,8 +265,11 @@
     authLoggedIn.hidden = true;
     authUsername.textContent = '';
     saveFileBtn.hidden = true;
+    updateExportButton();
     myFilesPanel.hidden = true;
     myFilesList.innerHTML = '';
+    labelMappings = {};
+    mappingRememberWrap.hidden = true;
   }
 
   // Check if already logged in on page load
@@ -242,7 +345,11 @@
       // Convert response to a File object and process it
       const blob = await res.blob();
       const file = new File([blob], filename);
-      handleFile(file);
+
+      // Scenarios saved with it come back with the file
+      const scRes = await fetch(`/api/files/${id}/scenarios`);
+      const saved = scRes.ok ? await scRes.json() : [];
+      handleFile(file, { id: Number(id), scenarios: saved });
     } catch (e) {
       showError('Failed to load saved file.');
     }
@@ -267,6 +374,7 @@
     try {
       const formData = new FormData();
       formData.append('file', currentFile);
+      formData.append('scenarios', JSON.stringify(serializeScenarios()));
 
       const res = await fetch('/api/files', {
         method: 'POST',
@@ -274,6 +382,10 @@
       });
 
       if (res.ok) {
+        const saved = await res.json();
+        currentFileId = saved.id;
+        renderScenarioPanel();
+        updateExportButton();
         saveFileBtn.textContent = 'Saved!';
         loadMyFiles();  // refresh file list
         setTimeout(() => {
@@ -297,6 +409,18 @@
     }
   });
 
+  async function loadLabelMappings() {
+    try {
+      const res = await fetch('/api/mappings');
+      if (!res.ok) return;
+      const rows = await res.json();
+      labelMappings = {};
+      for (const m of rows) labelMappings[m.label] = m.key;
+    } catch (e) {
+      // Network error — uploads just use the built-in labels
+    }
+  }
+
   function escapeHtml(str) {
     const div = document.createElement('div');
     div.textContent = str;
@@ -335,8 +459,11 @@
     dashboard.hidden = true;
     uploadScreen.style.display = '';
     fileInput.value = '';
+    cancelMonteCarlo();
     uploadError.hidden = true;
     currentFile = null;
+    currentWorkbook = null;
+    currentFileId = null;
     saveFileBtn.hidden = true;
     document.getElementById('sensitivity-table').innerHTML = '';
     if (isLoggedIn) loadMyFiles();  // refresh file list when returning
@@ -347,9 +474,27 @@
     uploadError.hidden = false;
   }
 
-  function handleFile(file) {
+  // Settings tied to the model on screen, cleared before another is opened
+  function resetModelState() {
+    valuationSettings = { midYear: false, valuationDate: null };
+    waccInputs = null;
+    waccUseBuilt.checked = false;
+    entryPriceInput.value = '';
+    mcDrivers = null;
+    mcTargetInput.value = '';
+    sensitivityTables = null;
+    reverseAmountInput.value = '';
+    tornadoRanges = null;
+    footballInputs = null;
+    cancelMonteCarlo();
+  }
+
+  // `saved` is { id, scenarios } for a file opened from My Files
+  function handleFile(file, saved = null) {
     uploadError.hidden = true;
     currentFile = file;  // track for saving later
+    currentFileId = saved ? saved.id : null;
+    currentSavedScenarios = saved ? saved.scenarios : null;
     const ext = file.name.split('.').pop().toLowerCase();
     if (!['xlsx', 'xls', 'csv'].includes(ext)) {
       showError('Unsupported file type. Please upload .xlsx, .xls, or .csv');
@@ -361,13 +506,21 @@
     reader.onload = (e) => {
       try {
         const data = new Uint8Array(e.target.result);
-        const workbook = XLSX.read(data, { type: 'array' });
-        const parsed = parseDCF(workbook);
+        currentWorkbook = DCFParser.readWorkbook(data);
+        const parsed = DCFParser.parseDCF(currentWorkbook, { mappings: labelMappings });
         if (!parsed) {
-          showError('Could not detect DCF model data in this file. Ensure it contains revenue, cash flow, or valuation rows.');
+          const unmatched = DCFParser.findUnmatchedLabels(currentWorkbook, { mappings: labelMappings });
+          if (unmatched.length) {
+            openMappingWizard(unmatched, 'We could not recognise enough DCF rows in this file. Assign the rows below to the metrics they represent.');
+            return;
+          }
+          // Diagnose a fresh read: parsing evaluated formulas in place
+          const diagnostics = DCFParser.diagnoseDCF(DCFParser.readWorkbook(data), { mappings: labelMappings });
+          showError(`Could not detect DCF model data in this file (${diagnostics.reason}). Ensure it contains revenue, cash flow, or valuation rows.`);
           return;
         }
-        renderDashboard(file.name, parsed);
+        resetModelState();
+        openModel(parsed, currentSavedScenarios);
       } catch (err) {
         console.error(err);
         showError('Error parsing file: ' + err.message);
@@ -377,318 +530,639 @@
   }
 
   // ────────────────────────────────────────────────
-  //  DCF PARSER
+  //  LABEL MAPPING WIZARD
   // ────────────────────────────────────────────────
 
-  // Label → canonical key mapping (fuzzy)
-  const LABEL_MAP = [
-    { key: 'revenue',          patterns: ['revenue', 'total revenue', 'sales', 'total sales', 'net revenue', 'net sales'] },
-    { key: 'cogs',             patterns: ['cogs', 'cost of goods', 'cost of revenue', 'cost of sales', 'cos'] },
-    { key: 'grossProfit',      patterns: ['gross profit', 'gross income'] },
-    { key: 'ebitda',           patterns: ['ebitda', 'adj ebitda', 'adjusted ebitda'] },
-    { key: 'da',               patterns: ['depreciation & amortization', 'depreciation and amortization', 'd&a', 'depreciation', 'amortization', 'dep & amort'] },
-    { key: 'ebit',             patterns: ['ebit', 'operating income', 'operating profit', 'op income'] },
-    { key: 'netIncome',        patterns: ['net income', 'net profit', 'net earnings', 'profit after tax'] },
-    { key: 'capex',            patterns: ['capex', 'capital expenditure', 'capital expenditures', 'pp&e purchases', 'purchases of ppe'] },
-    { key: 'fcf',              patterns: ['free cash flow', 'fcf', 'unlevered free cash flow', 'ufcf', 'levered free cash flow', 'fcff'] },
-    { key: 'wacc',             patterns: ['wacc', 'discount rate', 'weighted average cost of capital', 'cost of capital'] },
-    { key: 'terminalGrowth',   patterns: ['terminal growth', 'terminal growth rate', 'perpetuity growth', 'long term growth', 'ltg', 'perpetual growth rate'] },
-    { key: 'terminalValue',    patterns: ['terminal value', 'tv', 'continuing value'] },
-    { key: 'enterpriseValue',  patterns: ['enterprise value', 'ev', 'total enterprise value', 'firm value'] },
-    { key: 'equityValue',      patterns: ['equity value', 'equity value per share', 'share price', 'implied share price', 'price per share', 'target price'] },
-    { key: 'sharesOutstanding', patterns: ['shares outstanding', 'diluted shares', 'shares', 'total shares'] },
-    { key: 'pvFCF',            patterns: ['pv of fcf', 'pv of free cash flow', 'present value of fcf', 'present value of free cash flows', 'npv of fcf', 'pv fcf'] },
-    { key: 'pvTerminal',       patterns: ['pv of terminal', 'pv of tv', 'present value of terminal', 'pv terminal value'] },
-    { key: 'tax',              patterns: ['taxes', 'income tax', 'tax expense', 'provision for taxes', 'tax'] },
-    { key: 'interestExpense',  patterns: ['interest expense', 'interest'] },
-    { key: 'nwc',              patterns: ['change in nwc', 'net working capital', 'changes in working capital', 'nwc', 'working capital'] },
-    { key: 'grossMargin',      patterns: ['gross margin'] },
-    { key: 'ebitdaMargin',     patterns: ['ebitda margin'] },
-    { key: 'netMargin',        patterns: ['net margin', 'net income margin', 'profit margin'] },
+  // Where the wizard was opened from: 'upload' (parse failed) or 'dashboard'
+  let mappingOrigin = 'upload';
+
+  mapLabelsBtn.addEventListener('click', () => {
+    if (!currentWorkbook) return;
+    const unmatched = DCFParser.findUnmatchedLabels(currentWorkbook, { mappings: labelMappings });
+    openMappingWizard(unmatched, 'These rows were not recognised. Assign any that matter to a metric to include them in the dashboard.');
+  });
+
+  mappingCancelBtn.addEventListener('click', () => {
+    closeMappingWizard();
+    if (mappingOrigin === 'dashboard') {
+      dashboard.hidden = false;
+    } else {
+      showError('Could not detect DCF model data in this file. Ensure it contains revenue, cash flow, or valuation rows.');
+    }
+  });
+
+  mappingApplyBtn.addEventListener('click', async () => {
+    mappingError.hidden = true;
+    const chosen = [];
+    mappingList.querySelectorAll('select').forEach((sel) => {
+      if (sel.value) chosen.push({ label: sel.dataset.label, key: sel.value });
+    });
+    if (!chosen.length) {
+      mappingError.textContent = 'Choose a metric for at least one row.';
+      mappingError.hidden = false;
+      return;
+    }
+
+    for (const m of chosen) labelMappings[DCFParser.normalize(m.label)] = m.key;
+
+    if (isLoggedIn && mappingRemember.checked) {
+      try {
+        const res = await fetch('/api/mappings', {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ mappings: chosen }),
+        });
+        if (!res.ok) {
+          const data = await res.json();
+          mappingError.textContent = data.error || 'Could not save mappings.';
+          mappingError.hidden = false;
+          return;
+        }
+      } catch (e) {
+        mappingError.textContent = 'Network error — mappings apply to this upload only.';
+        mappingError.hidden = false;
+      }
+    }
+
+    const parsed = DCFParser.parseDCF(currentWorkbook, { mappings: labelMappings });
+    if (!parsed) {
+      const unmatched = DCFParser.findUnmatchedLabels(currentWorkbook, { mappings: labelMappings });
+      openMappingWizard(unmatched, 'Still not enough data for a DCF model. Map more rows — for example revenue, free cash flow, WACC or enterprise value.');
+      return;
+    }
+    // Remapping from the dashboard keeps this file's scenarios as edited; after a
+    // failed upload only what was saved with the file applies
+    const saved = mappingOrigin === 'dashboard' ? serializeScenarios() : currentSavedScenarios;
+    closeMappingWizard();
+    resetModelState();
+    openModel(parsed, saved);
+  });
+
+  function openMappingWizard(unmatched, intro) {
+    // Reopened after a failed apply, it keeps where it was first opened from
+    if (mappingScreen.hidden) mappingOrigin = dashboard.hidden ? 'upload' : 'dashboard';
+    uploadScreen.style.display = 'none';
+    dashboard.hidden = true;
+    mappingScreen.hidden = false;
+    mappingError.hidden = true;
+    mappingIntro.textContent = intro;
+    mappingRememberWrap.hidden = !isLoggedIn;
+
+    const options = ['<option value="">— Ignore —</option>']
+      .concat(DCFParser.LABEL_MAP.map((entry) => `<option value="${entry.key}">${escapeHtml(entry.name)}</option>`))
+      .join('');
+
+    mappingList.innerHTML = '';
+    for (const u of unmatched) {
+      const row = document.createElement('div');
+      row.className = 'mapping-row';
+      row.innerHTML = `
+        <div class="mapping-label">
+          <span class="mapping-label-text">${escapeHtml(u.label)}</span>
+          <span class="mapping-label-cell">${escapeHtml(u.sheet)}!${u.cell}</span>
+        </div>
+        <select>${options}</select>
+      `;
+      const select = row.querySelector('select');
+      select.dataset.label = u.label;
+      mappingList.appendChild(row);
+    }
+    if (!unmatched.length) {
+      mappingList.innerHTML = '<p class="text-muted">Every numeric row in this file is already recognised.</p>';
+    }
+  }
+
+  function closeMappingWizard() {
+    mappingScreen.hidden = true;
+    if (dashboard.hidden) uploadScreen.style.display = '';
+  }
+
+  // ────────────────────────────────────────────────
+  //  SCENARIOS
+  // ────────────────────────────────────────────────
+
+  // Inputs a scenario of the user's own can override, in percent (exit multiple in ×)
+  const SCENARIO_INPUTS = [
+    { key: 'wacc', label: 'WACC %' },
+    { key: 'terminalGrowth', label: 'TGR %' },
+    { key: 'exitMultiple', label: 'Exit ×' },
+    { key: 'revenueGrowth', label: 'Rev. growth %' },
+    { key: 'ebitdaMargin', label: 'EBITDA margin %' },
   ];
 
-  function normalize(str) {
-    return String(str).toLowerCase().replace(/[^a-z0-9 ]/g, ' ').replace(/\s+/g, ' ').trim();
+  // Show a freshly parsed model: its workbook cases, the saved (or already
+  // defined) scenarios laid over them, and the first case on screen
+  function openModel(parsed, saved) {
+    baseData = parsed;
+    scenarios = initialScenarios(parsed, saved || []);
+    scenarioModels = {};
+    showScenario(scenarios[0].id);
   }
 
-  function matchLabel(raw) {
-    const n = normalize(raw);
-    for (const entry of LABEL_MAP) {
-      for (const p of entry.patterns) {
-        // Exact match or starts-with match
-        if (n === p || n.startsWith(p + ' ') || n.endsWith(' ' + p)) return entry.key;
-        // Contains with word boundaries
-        if (n.includes(p) && (n.length - p.length) < 10) return entry.key;
+  // The workbook's cases (or the model alone as one) weighted 50% to the base
+  // and the rest shared evenly; saved entries restore their probabilities and
+  // add the user's own scenarios
+  function initialScenarios(model, saved) {
+    const found = model.scenarios && model.scenarios.list.length
+      ? model.scenarios.list
+      : [{ key: 'base', name: 'Model', location: null }];
+    const others = found.length - 1;
+    const list = found.map((sc, i) => ({
+      id: 'workbook-' + sc.key,
+      name: sc.name,
+      source: 'workbook',
+      key: sc.key,
+      location: sc.location,
+      probability: !others ? 100 : i === 0 ? 50 : +(50 / others).toFixed(2),
+      overrides: {},
+    }));
+    for (const sc of saved) {
+      if (sc.source === 'workbook') {
+        const match = list.find((w) => w.key === sc.key);
+        if (match) match.probability = sc.probability;
+      } else {
+        list.push({ id: 'user-' + ++scenarioSeq, name: sc.name, source: 'user', key: null, probability: sc.probability, overrides: { ...sc.overrides } });
       }
     }
-    return null;
+    return list;
   }
 
-  function isYearLike(v) {
-    const n = Number(v);
-    return Number.isInteger(n) && n >= 2000 && n <= 2050;
+  // What is stored with a saved file
+  function serializeScenarios() {
+    return scenarios.map(({ name, source, key, probability, overrides }) => ({ name, source, key, probability, overrides }));
   }
 
-  function pickBestSheet(workbook) {
-    const preferred = ['dcf', 'model', 'valuation', 'output', 'summary', 'forecast'];
-    const names = workbook.SheetNames;
-    for (const pref of preferred) {
-      const match = names.find((n) => normalize(n).includes(pref));
-      if (match) return match;
+  // The model with overrides of its inputs applied and revalued: the forecast
+  // re-driven by revenue growth / EBITDA margin, the valuation outputs replaced
+  // by the engine's, and what follows from them derived again
+  function restated(model, overrides, formula) {
+    const flexed = DCFValuation.flexModel(model, overrides);
+    const drivers = {};
+    for (const key of ['wacc', 'terminalGrowth', 'exitMultiple']) {
+      if (overrides[key] != null) drivers[key] = overrides[key];
+    }
+    const changes = { series: {}, scalars: { ...drivers }, formula };
+    for (const key of ['revenue', 'ebitda', 'fcf']) {
+      if (flexed.series[key] && flexed.series[key] !== model.series[key]) changes.series[key] = flexed.series[key];
     }
-    // Fallback: sheet with most rows
-    let best = names[0], bestRows = 0;
-    for (const name of names) {
-      const sheet = workbook.Sheets[name];
-      const json = XLSX.utils.sheet_to_json(sheet, { header: 1 });
-      if (json.length > bestRows) { bestRows = json.length; best = name; }
+    const result = DCFValuation.valueDCF(flexed, { ...valuationSettings, ...drivers });
+    if (result) {
+      for (const key of ['enterpriseValue', 'pvFCF', 'pvTerminal', 'terminalValue']) changes.scalars[key] = result[key];
     }
-    return best;
+    return DCFParser.restate(model, changes);
   }
 
-  function parseDCF(workbook) {
-    // Try the best sheet first, then fall back to scanning all sheets
-    const sheetsToTry = [pickBestSheet(workbook), ...workbook.SheetNames];
-    const tried = new Set();
-    let bestResult = null;
-    let bestScore = 0;
-
-    for (const sheetName of sheetsToTry) {
-      if (tried.has(sheetName)) continue;
-      tried.add(sheetName);
+  // The model a scenario shows. Another workbook case is its own extraction
+  // over the base's report; one that states no EV of its own is valued here.
+  function scenarioModel(sc) {
+    if (scenarioModels[sc.id]) return scenarioModels[sc.id];
+    let model = baseData;
+    const found = baseData.scenarios ? baseData.scenarios.list.find((w) => w.key === sc.key) : null;
+    if (sc.source === 'workbook' && found && found.model) {
+      model = { ...baseData, ...found.model };
+      if (model.scalars.enterpriseValue == null) model = restated(model, {}, `${sc.name} case, revalued`);
+    } else if (sc.source === 'user') {
+      model = restated(baseData, sc.overrides, `Scenario ${sc.name}`);
+    }
+    scenarioModels[sc.id] = model;
+    return model;
+  }
 
-      const sheet = workbook.Sheets[sheetName];
-      const rows = XLSX.utils.sheet_to_json(sheet, { header: 1 });
-      const result = parseSheet(rows);
-      if (!result) continue;
+  function activeScenario() {
+    return scenarios.find((sc) => sc.id === activeScenarioId) || scenarios[0];
+  }
 
-      // Score: count how many keys have data
-      const score = Object.keys(result.series).length + Object.keys(result.scalars).length * 2;
-      if (score > bestScore) {
-        bestScore = score;
-        bestResult = result;
-      }
+  function renderScenarioPanel() {
+    if (!baseData) return;
+    scenarioSelect.innerHTML = '';
+    for (const sc of scenarios) {
+      const label = sc.name + (sc.source === 'user' ? ' (yours)' : '');
+      scenarioSelect.add(new Option(label, sc.id, false, sc.id === activeScenarioId));
+    }
+    scenarioSelect.disabled = scenarios.length < 2;
+
+    // Probability-weighted value across the cases
+    const valued = scenarios.map((sc) => ({ sc, scalars: scenarioModel(sc).scalars }));
+    const weighted = (key) => DCFValuation.probabilityWeighted(valued.map((v) => ({ probability: v.sc.probability, value: v.scalars[key] })));
+    const ev = weighted('enterpriseValue');
+    const perShare = weighted('valuePerShare');
+    const total = scenarios.reduce((sum, sc) => sum + (Number(sc.probability) || 0), 0);
+    if (scenarios.length < 2 || !ev) {
+      scenarioWeighted.textContent = '';
+    } else {
+      scenarioWeighted.textContent = `Probability-weighted EV ${fmt(ev.value)}` +
+        (perShare ? ` · ${fmt(perShare.value)} / share` : '') +
+        (Math.abs(total - 100) > 0.01 ? ` (weights sum to ${+total.toFixed(2)}%, scaled to 100%)` : '');
     }
 
-    // If we didn't find enough from a single sheet, try merging across sheets
-    if (bestResult && bestScore < 4) return null;
-    return bestResult;
+    if (!scenarioEditor.hidden) renderScenarioTable(valued);
+    scenarioSaveBtn.hidden = !isLoggedIn;
   }
 
-  function parseSheet(rows) {
-    if (!rows || rows.length < 2) return null;
-
-    // 1. Detect year columns
-    let yearRow = null;
-    let yearCols = []; // { col, year }
-    for (let r = 0; r < Math.min(rows.length, 20); r++) {
-      const row = rows[r];
-      if (!row) continue;
-      const yrs = [];
-      for (let c = 1; c < row.length; c++) {
-        if (isYearLike(row[c])) yrs.push({ col: c, year: Number(row[c]) });
-      }
-      if (yrs.length >= 2) { yearRow = r; yearCols = yrs; break; }
-    }
-
-    // Also accept column headers like "FY2025" or "2025E"
-    if (!yearCols.length) {
-      for (let r = 0; r < Math.min(rows.length, 10); r++) {
-        const row = rows[r];
-        if (!row) continue;
-        const yrs = [];
-        for (let c = 1; c < row.length; c++) {
-          const v = String(row[c] || '');
-          const m = v.match(/(20\d{2})/);
-          if (m) yrs.push({ col: c, year: Number(m[1]) });
-        }
-        if (yrs.length >= 2) { yearRow = r; yearCols = yrs; break; }
+  function renderScenarioTable(valued) {
+    const base = baseData.scalars;
+    let html = '<table><thead><tr><th>Scenario</th><th>Probability %</th>';
+    for (const input of SCENARIO_INPUTS) html += `<th>${input.label}</th>`;
+    html += '<th>EV</th><th>Per share</th><th></th></tr></thead><tbody>';
+    for (const { sc, scalars } of valued) {
+      const user = sc.source === 'user';
+      html += `<tr data-id="${sc.id}"><td>`;
+      html += user
+        ? `<input type="text" data-field="name" value="${escapeHtml(sc.name)}" maxlength="60">`
+        : `${escapeHtml(sc.name)}<span class="text-muted"> ${escapeHtml(sc.location ? 'from ' + sc.location : 'as parsed')}</span>`;
+      html += `</td><td><input type="number" data-field="probability" min="0" max="100" step="any" value="${sc.probability}"></td>`;
+      for (const input of SCENARIO_INPUTS) {
+        if (!user) { html += '<td class="text-muted">—</td>'; continue; }
+        const value = sc.overrides[input.key];
+        const placeholder = base[input.key] != null ? +base[input.key].toFixed(2) : '';
+        html += `<td><input type="number" step="any" data-field="${input.key}" value="${value != null ? value : ''}" placeholder="${placeholder}"></td>`;
       }
+      html += `<td>${fmt(scalars.enterpriseValue)}</td><td>${fmt(scalars.valuePerShare)}</td>`;
+      html += `<td>${user ? '<button class="btn-file-action delete" data-action="delete">Delete</button>' : ''}</td></tr>`;
     }
+    html += '</tbody></table>';
+    scenarioTable.innerHTML = html;
+
+    const caseSwitch = baseData.scenarios && baseData.scenarios.caseSwitch;
+    scenarioNote.textContent = caseSwitch
+      ? `The workbook's case switch ${caseSwitch.sheet}!${caseSwitch.cell} (${caseSwitch.label}) is set to ${caseSwitch.value}; its formulas reflect that case.`
+      : 'Blank inputs keep the model\'s value; revenue growth and EBITDA margin apply to every forecast period.';
+  }
 
-    const years = yearCols.map((y) => y.year);
-    const series = {};   // key → [values per year]
-    const scalars = {};  // key → single value
+  // Edits in the scenario table
+  scenarioTable.addEventListener('change', (e) => {
+    const row = e.target.closest('tr[data-id]');
+    const sc = row && scenarios.find((x) => x.id === row.dataset.id);
+    const field = e.target.dataset.field;
+    if (!sc || !field) return;
+    if (field === 'name') {
+      sc.name = e.target.value.trim() || sc.name;
+    } else if (field === 'probability') {
+      sc.probability = Math.min(100, Math.max(0, Number(e.target.value) || 0));
+    } else {
+      if (e.target.value === '') delete sc.overrides[field];
+      else sc.overrides[field] = Number(e.target.value);
+      delete scenarioModels[sc.id];
+    }
+    onScenariosChange(sc);
+  });
 
-    // 2. Scan rows for label matches
-    for (let r = 0; r < rows.length; r++) {
-      if (r === yearRow) continue;
-      const row = rows[r];
-      if (!row || !row[0]) continue;
+  scenarioTable.addEventListener('click', (e) => {
+    if (e.target.dataset.action !== 'delete') return;
+    const row = e.target.closest('tr[data-id]');
+    scenarios = scenarios.filter((sc) => sc.id !== row.dataset.id);
+    delete scenarioModels[row.dataset.id];
+    if (activeScenarioId === row.dataset.id) showScenario(scenarios[0].id);
+    else renderScenarioPanel();
+  });
 
-      const key = matchLabel(row[0]);
-      if (!key) continue;
+  // Redraw after an edit; the dashboard too when the scenario is on screen
+  function onScenariosChange(sc) {
+    if (sc.id === activeScenarioId && !scenarioModels[sc.id]) showScenario(sc.id);
+    else renderScenarioPanel();
+  }
 
-      // Check if this is a time-series row or a scalar
-      if (yearCols.length) {
-        const vals = yearCols.map((yc) => {
-          const v = row[yc.col];
-          return v != null ? Number(v) : null;
-        });
-        const hasData = vals.some((v) => v !== null && !isNaN(v));
-        if (hasData) {
-          series[key] = vals.map((v) => (v !== null && !isNaN(v) ? v : null));
-          continue;
-        }
-      }
+  // Put a scenario on screen, with fresh what-if controls for it
+  function showScenario(id) {
+    activeScenarioId = id;
+    mcDrivers = null;
+    whatIf = {};
+    renderWhatIfPanel(scenarioModel(activeScenario()));
+    refreshDashboard();
+  }
 
-      // Scalar: grab the first numeric value in the row
-      for (let c = 1; c < row.length; c++) {
-        const v = Number(row[c]);
-        if (!isNaN(v) && row[c] !== '' && row[c] != null) {
-          scalars[key] = v;
-          break;
-        }
-      }
+  // Redraw the dashboard from the active scenario and the what-if overrides,
+  // without re-parsing. `live` (a slider moving) updates the charts in place
+  // without animation instead of rebuilding them.
+  function refreshDashboard(live = false) {
+    const model = scenarioModel(activeScenario());
+    const overrides = whatIfOverrides(model);
+    const changed = Object.keys(overrides).length;
+    renderWhatIfMarker(model);
+    whatIfBadge.hidden = !changed;
+
+    const animation = Chart.defaults.animation;
+    if (live) Chart.defaults.animation = false;
+    liveRedraw = live;
+    try {
+      renderDashboard(currentFile.name, changed ? restated(model, overrides, 'What-if') : model);
+    } finally {
+      liveRedraw = false;
+      Chart.defaults.animation = animation;
     }
+  }
 
-    if (Object.keys(series).length === 0 && Object.keys(scalars).length === 0) return null;
+  function renderWhatIfMarker(model) {
+    const departures = workbookDepartures(model);
+    whatIfMarker.hidden = !departures.length;
+    whatIfMarker.textContent = departures.length ? 'Differs from the workbook: ' + departures.join(' · ') : '';
+  }
+
+  // What the valuation on screen uses in place of the workbook's own inputs:
+  // what-if edits, the scenario's overrides or case, an applied built-up WACC
+  function workbookDepartures(model) {
+    const sc = activeScenario();
+    const out = [];
+    const count = changedInputs(model);
+    if (count) out.push(`${count} what-if input${count === 1 ? '' : 's'}`);
+    const overridden = sc.source === 'user' ? Object.keys(sc.overrides).length : 0;
+    if (overridden) out.push(`scenario ${sc.name} (${overridden} input${overridden === 1 ? '' : 's'})`);
+    else if (sc.source === 'workbook' && sc !== scenarios[0]) out.push(`${sc.name} case`);
+    if (valuationSettings.wacc != null) out.push(`built-up WACC ${valuationSettings.wacc.toFixed(1)}%`);
+    return out;
+  }
 
-    // 3. Compute derived metrics if missing
-    deriveMetrics(series, scalars, years);
+  // ── What-if: live overrides of the model's drivers ──
 
-    return { years, series, scalars };
+  // Annualized growth of each forecast period over the one before (percent)
+  function periodGrowth(model, i) {
+    const revenue = model.series.revenue;
+    if (!revenue || !(revenue[i - 1] > 0) || !(revenue[i] > 0)) return null;
+    const months = { annual: 12, half: 6, quarter: 3 }[model.periods[i].frequency];
+    return (Math.pow(revenue[i] / revenue[i - 1], 12 / months) - 1) * 100;
   }
 
-  function deriveMetrics(series, scalars, years) {
-    const len = years.length;
+  // The value each control starts from: the model's own, with an applied
+  // built-up WACC in place of its WACC. { wacc, terminalGrowth,
+  // revenueGrowth: [by period], ebitdaMargin: [by period] }
+  function whatIfBase(model) {
+    const forecast = DCFValuation.forecastIndexes(model);
+    const byPeriod = (value) => model.periods.map((p, i) => (forecast.includes(i) ? value(i) : null));
+    return {
+      wacc: valuationSettings.wacc != null ? valuationSettings.wacc : model.scalars.wacc,
+      terminalGrowth: model.scalars.terminalGrowth,
+      revenueGrowth: byPeriod((i) => periodGrowth(model, i)),
+      ebitdaMargin: model.series.ebitda ? byPeriod((i) => (model.series.ebitdaMargin || [])[i]) : [],
+    };
+  }
 
-    // Gross profit = revenue - cogs
-    if (!series.grossProfit && series.revenue && series.cogs) {
-      series.grossProfit = series.revenue.map((r, i) =>
-        r != null && series.cogs[i] != null ? r - Math.abs(series.cogs[i]) : null
-      );
-    }
+  const sameInput = (a, b) => a == null || (b != null && Math.abs(a - b) < 1e-9);
 
-    // EBITDA = EBIT + D&A
-    if (!series.ebitda && series.ebit && series.da) {
-      series.ebitda = series.ebit.map((e, i) =>
-        e != null && series.da[i] != null ? e + Math.abs(series.da[i]) : null
-      );
+  // Overrides for flexModel / restated: the rates that differ from the model,
+  // and per-period paths in full once any period is moved (so untouched years
+  // keep their growth on the new base)
+  function whatIfOverrides(model) {
+    const base = whatIfBase(model);
+    const out = {};
+    for (const key of ['wacc', 'terminalGrowth']) {
+      if (!sameInput(whatIf[key], base[key])) out[key] = whatIf[key];
     }
-
-    // EBIT = EBITDA - D&A
-    if (!series.ebit && series.ebitda && series.da) {
-      series.ebit = series.ebitda.map((eb, i) =>
-        eb != null && series.da[i] != null ? eb - Math.abs(series.da[i]) : null
-      );
+    for (const key of ['revenueGrowth', 'ebitdaMargin']) {
+      const edits = whatIf[key] || [];
+      if (edits.every((v, i) => sameInput(v, base[key][i]))) continue;
+      out[key] = base[key].map((v, i) => (edits[i] != null ? edits[i] : v));
     }
+    return out;
+  }
 
-    // Margins (as percentages)
-    if (series.revenue) {
-      if (!series.grossMargin && series.grossProfit) {
-        series.grossMargin = series.revenue.map((r, i) =>
-          r ? ((series.grossProfit[i] || 0) / r) * 100 : null
-        );
-      }
-      if (!series.ebitdaMargin && series.ebitda) {
-        series.ebitdaMargin = series.revenue.map((r, i) =>
-          r ? ((series.ebitda[i] || 0) / r) * 100 : null
-        );
-      }
-      if (!series.netMargin && series.netIncome) {
-        series.netMargin = series.revenue.map((r, i) =>
-          r ? ((series.netIncome[i] || 0) / r) * 100 : null
-        );
-      }
+  function changedInputs(model) {
+    const base = whatIfBase(model);
+    let n = 0;
+    for (const key of ['wacc', 'terminalGrowth']) if (!sameInput(whatIf[key], base[key])) n++;
+    for (const key of ['revenueGrowth', 'ebitdaMargin']) {
+      (whatIf[key] || []).forEach((v, i) => { if (!sameInput(v, base[key][i])) n++; });
     }
+    return n;
+  }
 
-    // WACC / terminal growth — promote series single values to scalars
-    for (const k of ['wacc', 'terminalGrowth']) {
-      if (!scalars[k] && series[k]) {
-        const v = series[k].find((x) => x != null);
-        if (v != null) scalars[k] = v;
+  // A slider with a number box beside it, per control; `spread` sets the
+  // slider's reach either side of the model's value
+  function renderWhatIfPanel(model) {
+    const base = whatIfBase(model);
+    whatIfControls.innerHTML = '';
+    const group = (title, rows) => {
+      if (!rows.length) return;
+      const el = document.createElement('div');
+      el.className = 'whatif-group';
+      el.innerHTML = `<h3>${title}</h3>`;
+      rows.forEach((row) => el.appendChild(row));
+      whatIfControls.appendChild(el);
+    };
+    const control = (label, key, index, spread, step) => {
+      const value = index == null ? base[key] : base[key][index];
+      if (value == null) return null;
+      const edit = index == null ? whatIf[key] : (whatIf[key] || [])[index];
+      const current = edit != null ? edit : value;
+      const row = document.createElement('label');
+      row.className = 'whatif-control';
+      row.classList.toggle('changed', !sameInput(edit, value));
+      const range = document.createElement('input');
+      range.type = 'range';
+      range.min = +(Math.min(value, current) - spread).toFixed(2);
+      range.max = +(Math.max(value, current) + spread).toFixed(2);
+      range.step = step;
+      range.value = current;
+      const box = document.createElement('input');
+      box.type = 'number';
+      box.step = 'any';
+      box.value = +current.toFixed(2);
+      // The built-up WACC, when applied, stands in for this one
+      if (key === 'wacc' && valuationSettings.wacc != null) {
+        range.disabled = box.disabled = true;
+        row.title = 'The built-up WACC is applied';
       }
-    }
+      const set = (v, live) => {
+        if (index == null) whatIf[key] = v;
+        else (whatIf[key] || (whatIf[key] = []))[index] = v;
+        row.classList.toggle('changed', !sameInput(v, value));
+        cancelAnimationFrame(whatIfFrame);
+        if (live) whatIfFrame = requestAnimationFrame(() => refreshDashboard(true));
+        else refreshDashboard();
+      };
+      range.addEventListener('input', () => { box.value = range.value; set(Number(range.value), true); });
+      // Released: one full redraw, which also resets the simulation
+      range.addEventListener('change', () => set(Number(range.value), false));
+      box.addEventListener('change', () => {
+        if (box.value === '' || !isFinite(box.value)) { box.value = +value.toFixed(2); return; }
+        range.value = box.value;
+        set(Number(box.value), false);
+      });
+      row.append(label, range, box);
+      return row;
+    };
+    const forecast = DCFValuation.forecastIndexes(model);
+    const label = (i) => periodLabels(model)[i];
 
-    // If WACC looks like a decimal (0.10), convert to percent display
-    if (scalars.wacc && scalars.wacc > 0 && scalars.wacc < 1) {
-      scalars.wacc = scalars.wacc * 100;
-    }
-    if (scalars.terminalGrowth && scalars.terminalGrowth > 0 && scalars.terminalGrowth < 1) {
-      scalars.terminalGrowth = scalars.terminalGrowth * 100;
-    }
+    group('Discount Rate', [control('WACC %', 'wacc', null, 5, 0.1), control('Terminal growth %', 'terminalGrowth', null, 3, 0.1)].filter(Boolean));
+    group('Revenue Growth %', forecast.map((i) => control(label(i), 'revenueGrowth', i, 20, 0.5)).filter(Boolean));
+    group('EBITDA Margin %', forecast.map((i) => control(label(i), 'ebitdaMargin', i, 20, 0.5)).filter(Boolean));
+    document.getElementById('whatif-panel').hidden = !whatIfControls.children.length;
+  }
 
-    // Enterprise Value from scalars or last series value
-    if (!scalars.enterpriseValue && series.enterpriseValue) {
-      const v = series.enterpriseValue.filter((x) => x != null).pop();
-      if (v != null) scalars.enterpriseValue = v;
-    }
-    if (!scalars.terminalValue && series.terminalValue) {
-      const v = series.terminalValue.filter((x) => x != null).pop();
-      if (v != null) scalars.terminalValue = v;
-    }
-    if (!scalars.equityValue && series.equityValue) {
-      const v = series.equityValue.filter((x) => x != null).pop();
-      if (v != null) scalars.equityValue = v;
-    }
+  whatIfResetBtn.addEventListener('click', () => {
+    if (!baseData) return;
+    whatIf = {};
+    renderWhatIfPanel(scenarioModel(activeScenario()));
+    refreshDashboard();
+  });
 
-    // Equity value per share
-    if (!scalars.equityValue && scalars.enterpriseValue) {
-      // rough: EV ≈ equity (no net debt adjustment without data)
-      scalars.equityValue = scalars.enterpriseValue;
-    }
+  scenarioSelect.addEventListener('change', () => showScenario(scenarioSelect.value));
 
-    // PV of FCF / PV of terminal
-    if (!scalars.pvFCF && series.pvFCF) {
-      scalars.pvFCF = series.pvFCF.reduce((a, b) => (a || 0) + (b || 0), 0);
-    }
-    if (!scalars.pvTerminal && series.pvTerminal) {
-      const v = series.pvTerminal.filter((x) => x != null).pop();
-      if (v != null) scalars.pvTerminal = v;
-    }
+  scenarioManageBtn.addEventListener('click', () => {
+    scenarioEditor.hidden = !scenarioEditor.hidden;
+    scenarioManageBtn.textContent = scenarioEditor.hidden ? 'Manage Scenarios' : 'Hide Scenarios';
+    renderScenarioPanel();
+  });
 
-    // If we have EV and pvTerminal but no pvFCF, derive it
-    if (scalars.enterpriseValue && scalars.pvTerminal && !scalars.pvFCF) {
-      scalars.pvFCF = scalars.enterpriseValue - scalars.pvTerminal;
+  scenarioAddBtn.addEventListener('click', () => {
+    if (!baseData) return;
+    scenarios.push({ id: 'user-' + ++scenarioSeq, name: `Scenario ${scenarios.length + 1}`, source: 'user', key: null, probability: 0, overrides: {} });
+    renderScenarioPanel();
+  });
+
+  // Scenarios of a saved file are saved with it; an unsaved file keeps them
+  // until it is saved to My Files
+  scenarioSaveBtn.addEventListener('click', async () => {
+    if (!currentFileId) {
+      scenarioNote.textContent = 'Save the file to My Files first — its scenarios are saved with it.';
+      return;
     }
-    if (scalars.enterpriseValue && scalars.pvFCF && !scalars.pvTerminal) {
-      scalars.pvTerminal = scalars.enterpriseValue - scalars.pvFCF;
+    scenarioSaveBtn.disabled = true;
+    try {
+      const res = await fetch(`/api/files/${currentFileId}/scenarios`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ scenarios: serializeScenarios() }),
+      });
+      const data = await res.json();
+      scenarioNote.textContent = res.ok ? 'Scenarios saved with the file.' : data.error || 'Could not save scenarios.';
+    } catch (e) {
+      scenarioNote.textContent = 'Network error — scenarios not saved.';
     }
-  }
+    scenarioSaveBtn.disabled = false;
+  });
 
   // ────────────────────────────────────────────────
   //  RENDER DASHBOARD
   // ────────────────────────────────────────────────
 
+  // ── Report export: built on the server from the saved file ──
+  function updateExportButton() {
+    exportReportBtn.hidden = exportFormatSelect.hidden = !isLoggedIn;
+    exportReportBtn.disabled = !currentFileId;
+    exportReportBtn.title = currentFileId ? '' : 'Save the file to export a report';
+  }
+
+  exportReportBtn.addEventListener('click', async () => {
+    if (!currentFileId) return;
+    exportReportBtn.disabled = true;
+    exportReportBtn.textContent = 'Exporting...';
+    let message = 'Export Report';
+    try {
+      const res = await fetch(`/api/files/${currentFileId}/export?format=${exportFormatSelect.value}`);
+      if (res.ok) {
+        const name = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '');
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(await res.blob());
+        a.download = name ? name[1] : 'report';
+        a.click();
+        URL.revokeObjectURL(a.href);
+      } else {
+        const data = await res.json();
+        message = data.error || 'Error';
+      }
+    } catch (e) {
+      message = 'Network Error';
+    }
+    exportReportBtn.textContent = message;
+    setTimeout(() => {
+      exportReportBtn.textContent = 'Export Report';
+      exportReportBtn.disabled = !currentFileId;
+    }, message === 'Export Report' ? 0 : 2000);
+  });
+
+  // ── Model download: the normalized model as shown, written in the browser ──
+  const MODEL_FORMATS = {
+    xlsx: { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', body: (data, filename) => DCFExport.toXLSX(data, { filename }) },
+    csv: { type: 'text/csv', body: (data) => DCFExport.toCSV(data) },
+    json: { type: 'application/json', body: (data, filename) => JSON.stringify(DCFExport.toJSON(data, { filename }), null, 2) + '\n' },
+  };
+
+  downloadModelBtn.addEventListener('click', () => {
+    if (!currentData) return;
+    const ext = modelFormatSelect.value;
+    const filename = currentFile ? currentFile.name : null;
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([MODEL_FORMATS[ext].body(currentData, filename)], { type: MODEL_FORMATS[ext].type }));
+    a.download = `${filename ? filename.replace(/\.[^.]+$/, '') : 'model'}-model.${ext}`;
+    a.click();
+    URL.revokeObjectURL(a.href);
+  });
+
+  // A chart on `canvas`. While live-redrawing, the one already there is given
+  // the new data and options and updated without animation.
+  function drawChart(canvas, config) {
+    const existing = Chart.getChart(canvas);
+    if (existing && liveRedraw && existing.config.type === config.type) {
+      existing.data = config.data;
+      existing.options = config.options;
+      existing.update('none');
+      return existing;
+    }
+    if (existing) existing.destroy();
+    return new Chart(canvas, config);
+  }
+
   function renderDashboard(fileName, data) {
-    // Destroy old charts
-    charts.forEach((c) => c.destroy());
+    // Destroy old charts; a live redraw keeps them for drawChart to update and
+    // destroys only those not drawn again
+    const previous = charts;
+    if (!liveRedraw) previous.forEach((c) => c.destroy());
     charts = [];
 
     uploadScreen.style.display = 'none';
+    mappingScreen.hidden = true;
     dashboard.hidden = false;
+    currentData = data;
     fileNameLabel.textContent = fileName;
+    fileNameLabel.title = data.merge
+      ? 'Sheets merged (by precedence): ' + data.merge.sheets.map((sh) => sh.name).join(', ')
+      : '';
+
+    // Units: values arrive normalized to true magnitudes; show what the model stated
+    const units = data.units || {};
+    fmt = DCFFormat.formatter(units.symbol || '$');
+    unitsLabel.hidden = !units.scaleName && !units.currency;
+    unitsLabel.textContent = [units.currency, units.scaleName && `stated in ${units.scaleName}`].filter(Boolean).join(' · ');
+    unitsLabel.title = units.source ? describeSource(units.source) : '';
 
     // Show save button if logged in
     saveFileBtn.hidden = !isLoggedIn;
     saveFileBtn.textContent = 'Save to My Files';
     saveFileBtn.disabled = false;
 
+    updateExportButton();
+
+    // Offer the mapping wizard while rows remain unrecognised
+    const unmatchedCount = data.unmatched ? data.unmatched.length : 0;
+    mapLabelsBtn.hidden = unmatchedCount === 0;
+    mapLabelsBtn.textContent = `Map Labels (${unmatchedCount})`;
+
+    renderScenarioPanel();
     renderSummaryCards(data);
+    renderReverseDCF(data);
     renderRevenueFCF(data);
     renderMargins(data);
     renderWaterfall(data);
     renderValuation(data);
+    renderBridge(data);
     renderGrowth(data);
+    renderTornado(data);
     renderSensitivity(data);
+    renderWaccPanel(data);
+    renderMonteCarlo(data);
+    renderFootballField(data);
+    renderValuationCheck(data);
+    renderDiagnostics(data.diagnostics);
+    if (liveRedraw) previous.filter((c) => c.canvas && !charts.includes(c)).forEach((c) => c.destroy());
   }
 
   // ── Helpers ──
-  function fmt(value, opts = {}) {
-    if (value == null || isNaN(value)) return '--';
-    const abs = Math.abs(value);
-    if (opts.pct) return value.toFixed(1) + '%';
-    if (opts.dollar === false) {
-      if (abs >= 1e9) return (value / 1e9).toFixed(1) + 'B';
-      if (abs >= 1e6) return (value / 1e6).toFixed(1) + 'M';
-      if (abs >= 1e3) return (value / 1e3).toFixed(1) + 'K';
-      return value.toFixed(1);
-    }
-    if (abs >= 1e9) return '$' + (value / 1e9).toFixed(2) + 'B';
-    if (abs >= 1e6) return '$' + (value / 1e6).toFixed(1) + 'M';
-    if (abs >= 1e3) return '$' + (value / 1e3).toFixed(1) + 'K';
-    return '$' + value.toFixed(2);
+  // Tooltip line tracing a series point back to its cell (datasets carry sourceKey)
+  function seriesSourceLine(data, ctx) {
+    const key = ctx.dataset.sourceKey;
+    const points = key && data.sources ? data.sources.series[key] : null;
+    return points ? describeSource(points[ctx.dataIndex]) : null;
   }
 
   const CHART_DEFAULTS = {
@@ -713,52 +1187,147 @@
     };
   }
 
+  // ── Actuals vs projections ──
+  function isProjected(data, i) {
+    const p = data.periods && data.periods[i];
+    return !!p && p.type === 'estimate';
+  }
+
+  // `offset` shifts chart indexes onto periods (growth charts start at period 1)
+  function firstProjectedIndex(data, offset = 0) {
+    if (!data.periods) return null;
+    const i = data.periods.findIndex((p, idx) => idx >= offset && p.type === 'estimate');
+    return i === -1 ? null : i - offset;
+  }
+
+  // Per-point bar colours: projected periods drawn faded
+  function projectionColors(data, solid, faded, count, offset = 0) {
+    return Array.from({ length: count }, (_, i) => (isProjected(data, i + offset) ? faded : solid));
+  }
+
+  // Line datasets: dashed segments and hollow points into projected periods
+  function projectionLineStyle(data, color, offset = 0) {
+    return {
+      segment: { borderDash: (ctx) => (isProjected(data, ctx.p1DataIndex + offset) ? [6, 4] : undefined) },
+      pointBackgroundColor: (ctx) => (isProjected(data, ctx.dataIndex + offset) ? '#1a1d27' : color),
+    };
+  }
+
+  function periodTooltipTitle(data, offset = 0) {
+    return (items) => {
+      if (!items.length || !data.periods) return items.length ? items[0].label : '';
+      const i = items[0].dataIndex + offset;
+      return `${items[0].label} · ${isProjected(data, i) ? 'Projected' : 'Actual'}`;
+    };
+  }
+
+  // Dashed divider between the last actual and the first projected period
+  const projectionDivider = {
+    id: 'projectionDivider',
+    afterDatasetsDraw(chart, args, opts) {
+      if (opts.index == null || opts.index <= 0) return;
+      const x = chart.scales.x;
+      const px = (x.getPixelForValue(opts.index - 1) + x.getPixelForValue(opts.index)) / 2;
+      const { top, bottom } = chart.chartArea;
+      const c = chart.ctx;
+      c.save();
+      c.strokeStyle = '#8b8fa3';
+      c.setLineDash([4, 4]);
+      c.beginPath();
+      c.moveTo(px, top);
+      c.lineTo(px, bottom);
+      c.stroke();
+      c.fillStyle = '#8b8fa3';
+      c.font = '11px sans-serif';
+      c.textAlign = 'right';
+      c.fillText('Actual', px - 6, top + 12);
+      c.textAlign = 'left';
+      c.fillText('Projected', px + 6, top + 12);
+      c.restore();
+    },
+  };
+
   // ── Summary Cards ──
   function renderSummaryCards(data) {
     const s = data.scalars;
-    document.getElementById('val-ev').textContent = fmt(s.enterpriseValue);
-    document.getElementById('val-equity').textContent = fmt(s.equityValue);
+    // Without a stated EV, the engine's stands in, marked as derived
+    const computed = s.enterpriseValue == null ? DCFValuation.valueDCF(data, valuationSettings) : null;
+    document.getElementById('val-ev').textContent = fmt(computed ? computed.enterpriseValue : s.enterpriseValue);
+    document.getElementById('val-equity').textContent = fmt(s.valuePerShare);
+    document.getElementById('sub-equity').textContent = s.equityValue != null
+      ? `Equity value ${fmt(s.equityValue)}`
+      : (s.enterpriseValue != null ? 'No net debt data to bridge from EV' : '');
     document.getElementById('val-wacc').textContent = s.wacc != null ? s.wacc.toFixed(1) + '%' : '--';
     document.getElementById('val-terminal-growth').textContent = s.terminalGrowth != null ? s.terminalGrowth.toFixed(1) + '%' : '--';
     document.getElementById('val-terminal-value').textContent = fmt(s.terminalValue);
+    document.getElementById('val-exit-multiple').textContent = s.exitMultiple != null ? s.exitMultiple.toFixed(1) + 'x' : '--';
+
+    // Both terminal value methods side by side, each with the other's implied driver
+    const multipleOfGrowth = s.impliedMultiple != null ? `Implied multiple ${s.impliedMultiple.toFixed(1)}x` : '';
+    const growthOfMultiple = s.impliedGrowth != null ? `Implied growth ${s.impliedGrowth.toFixed(1)}%` : '';
+    document.getElementById('sub-terminal-growth').textContent = multipleOfGrowth;
+    document.getElementById('sub-exit-multiple').textContent = growthOfMultiple;
+    document.getElementById('sub-terminal-value').textContent = [
+      s.terminalValueGrowth != null && `Growth ${fmt(s.terminalValueGrowth)}`,
+      s.terminalValueExit != null && `Exit ${fmt(s.terminalValueExit)}`,
+    ].filter(Boolean).join(' · ');
+
+    const scalarSources = data.sources ? data.sources.scalars : {};
+    setCardSource('src-ev', computed ? {
+      derived: true,
+      formula: `PV of FCF + PV of Terminal Value (${computed.terminalMethod === 'exit' ? 'exit multiple' : 'perpetuity growth'}), recalculated`,
+    } : scalarSources.enterpriseValue);
+    setCardSource('src-equity', scalarSources.valuePerShare || scalarSources.equityValue);
+    setCardSource('src-wacc', scalarSources.wacc);
+    setCardSource('src-terminal-growth', scalarSources.terminalGrowth);
+    setCardSource('src-exit-multiple', scalarSources.exitMultiple);
+    setCardSource('src-terminal-value', scalarSources.terminalValue);
+
+    renderIRR(data);
+  }
 
-    // IRR estimate: if we have FCFs and EV, compute a rough IRR
-    let irr = null;
-    if (data.series.fcf && s.enterpriseValue) {
-      irr = estimateIRR(data.series.fcf, s.enterpriseValue, s.terminalValue);
-    }
-    document.getElementById('val-irr').textContent = irr != null ? irr.toFixed(1) + '%' : '--';
-  }
-
-  function estimateIRR(fcfs, ev, tv) {
-    // Simple IRR: find rate where NPV of FCFs + TV = EV
-    const n = fcfs.filter((x) => x != null).length;
-    if (n < 2) return null;
-    const cashFlows = [-ev, ...fcfs.filter((x) => x != null)];
-    if (tv) cashFlows[cashFlows.length - 1] += tv;
-
-    // Newton's method on NPV
-    let rate = 0.10;
-    for (let iter = 0; iter < 100; iter++) {
-      let npv = 0, dnpv = 0;
-      for (let t = 0; t < cashFlows.length; t++) {
-        const cf = cashFlows[t];
-        if (cf == null) continue;
-        npv += cf / Math.pow(1 + rate, t);
-        dnpv -= t * cf / Math.pow(1 + rate, t + 1);
-      }
-      if (Math.abs(dnpv) < 1e-10) break;
-      const next = rate - npv / dnpv;
-      if (Math.abs(next - rate) < 1e-7) { rate = next; break; }
-      rate = next;
-      if (rate < -0.99 || rate > 10) return null; // diverged
-    }
-    return rate * 100;
+  // Implied IRR: the return from buying at the entry price (default the model's
+  // EV) on the valuation date and collecting the forecast FCF plus terminal value
+  function renderIRR(data) {
+    const bridge = DCFParser.equityBridge(data.scalars);
+    const perShare = !!(bridge && bridge.sharesOutstanding);
+    entryPriceInput.placeholder = perShare ? 'Entry price / share' : 'Entry EV';
+    entryPriceInput.title = perShare
+      ? 'Price per share; converted to an enterprise value through the equity bridge'
+      : 'Enterprise value paid at the valuation date';
+
+    const price = entryPriceInput.value === '' ? null : Number(entryPriceInput.value);
+    const entryValue = price == null ? null : entryEnterpriseValue(bridge, price);
+    const result = DCFValuation.impliedIRR(data, { ...valuationSettings, entryValue, mode: irrModeSelect.value });
+
+    document.getElementById('val-irr').textContent = result ? result.rate.toFixed(1) + '%' : '--';
+    setCardSource('src-irr', result ? {
+      derived: true,
+      formula: `${result.mode.toUpperCase()} of −${fmt(result.entryValue)} entry, FCFs + Terminal Value`,
+    } : null);
+  }
+
+  // EV paid for a share price: equity at that price, less the bridge adjustments
+  // that lead from EV to equity. Without a share count the input already is an EV.
+  function entryEnterpriseValue(bridge, price) {
+    if (!bridge || !bridge.sharesOutstanding) return price;
+    const adjustments = bridge.steps.slice(1).reduce((sum, step) => sum + step.value, 0);
+    return price * bridge.sharesOutstanding - adjustments;
+  }
+
+  function setCardSource(id, src) {
+    const el = document.getElementById(id);
+    const text = describeSource(src);
+    el.textContent = text || '';
+    el.title = text || '';
+    el.classList.toggle('derived', !!(src && src.derived));
   }
 
   // ── Chart 1: Revenue & FCF Trend ──
   function renderRevenueFCF(data) {
     const ctx = document.getElementById('chart-revenue-fcf');
+    showChart('chart-revenue-fcf-wrap');
+    revenueChart = null;
     if (!data.series.revenue && !data.series.fcf) {
       hideChart('chart-revenue-fcf-wrap');
       return;
@@ -769,11 +1338,12 @@
       datasets.push({
         label: 'Revenue',
         data: data.series.revenue,
-        backgroundColor: 'rgba(79, 140, 255, 0.6)',
+        backgroundColor: projectionColors(data, 'rgba(79, 140, 255, 0.6)', 'rgba(79, 140, 255, 0.25)', data.series.revenue.length),
         borderColor: 'rgba(79, 140, 255, 1)',
         borderWidth: 1,
         type: 'bar',
         order: 2,
+        sourceKey: 'revenue',
       });
     }
     if (data.series.fcf) {
@@ -788,16 +1358,41 @@
         type: 'line',
         order: 1,
         yAxisID: data.series.revenue ? 'y1' : 'y',
+        sourceKey: 'fcf',
+        ...projectionLineStyle(data, '#34d399'),
       });
     }
 
+    // The path the market price implies, from the last actual on
+    if (reverseResult && reverseResult.driver !== 'terminalGrowth') {
+      const forecast = DCFValuation.forecastIndexes(data);
+      const implied = (values) => values.map((v, i) => (i >= forecast[0] - 1 ? v : null));
+      const line = { type: 'line', borderColor: '#fbbf24', borderWidth: 2, borderDash: [4, 4], pointRadius: 3, fill: false, order: 0, implied: true };
+      if (reverseResult.driver === 'revenueGrowth' && data.series.revenue) {
+        datasets.push({ ...line, label: 'Implied Revenue', data: implied(reverseResult.model.series.revenue), yAxisID: 'y' });
+      }
+      if (data.series.fcf) {
+        datasets.push({ ...line, label: 'Implied FCF', data: implied(reverseResult.model.series.fcf), yAxisID: data.series.revenue ? 'y1' : 'y' });
+      }
+    }
+
     const config = {
       type: 'bar',
-      data: { labels: data.years.map(String), datasets },
+      data: { labels: periodLabels(data), datasets },
+      plugins: [projectionDivider],
       options: {
         responsive: true,
         maintainAspectRatio: true,
-        plugins: { legend: CHART_DEFAULTS.plugins.legend },
+        plugins: {
+          legend: CHART_DEFAULTS.plugins.legend,
+          tooltip: {
+            callbacks: {
+              title: periodTooltipTitle(data),
+              afterLabel: (ctx) => (ctx.dataset.implied ? `Reverse DCF: ${REVERSE_DRIVERS[reverseResult.driver]} ${fmt(reverseResult.value, { pct: true })}` : seriesSourceLine(data, ctx)),
+            },
+          },
+          projectionDivider: { index: firstProjectedIndex(data) },
+        },
         scales: {
           x: CHART_DEFAULTS.scales.x,
           y: { ...CHART_DEFAULTS.scales.y, position: 'left', title: { display: true, text: 'Revenue', color: '#8b8fa3' } },
@@ -808,12 +1403,83 @@
       },
     };
 
-    charts.push(new Chart(ctx, config));
+    revenueChart = drawChart(ctx, config);
+    charts.push(revenueChart);
   }
 
+  // ── Reverse DCF: what the market price implies ──
+  const REVERSE_DRIVERS = { revenueGrowth: 'Revenue CAGR', terminalGrowth: 'Terminal growth', ebitdaMargin: 'EBITDA margin' };
+
+  // Enterprise value the market puts on the business, through the model's bridge
+  function marketEV(data, basis, amount) {
+    const bridge = DCFParser.equityBridge(data.scalars);
+    const adjustment = bridge ? bridge.equityValue - bridge.steps[0].value : 0;
+    if (basis === 'marketCap') return amount - adjustment;
+    const shares = data.scalars.sharesOutstanding;
+    return shares ? amount * shares - adjustment : null;
+  }
+
+  function renderReverseDCF(data) {
+    const wrap = document.getElementById('reverse-dcf-wrap');
+    reverseResult = null;
+    const result = DCFValuation.valueDCF(data, valuationSettings);
+    wrap.style.display = result ? '' : 'none';
+    if (!result) return;
+
+    // Only drivers the model has can be solved for
+    const has = { revenueGrowth: !!data.series.revenue, terminalGrowth: true, ebitdaMargin: !!(data.series.revenue && data.series.ebitda) };
+    for (const option of reverseDriverSelect.options) option.disabled = !has[option.value];
+    if (!has[reverseDriverSelect.value]) reverseDriverSelect.value = 'terminalGrowth';
+    const perShare = !!data.scalars.sharesOutstanding;
+    reverseBasisSelect.options[0].disabled = !perShare;
+    if (!perShare) reverseBasisSelect.value = 'marketCap';
+    reverseAmountInput.placeholder = reverseBasisSelect.value === 'price' ? 'Market price' : 'Market cap';
+
+    const amount = reverseAmountInput.value === '' ? null : Number(reverseAmountInput.value);
+    if (!(amount > 0)) {
+      reverseResultEl.textContent = 'Enter the market price to solve for the assumption it implies.';
+      return;
+    }
+    const driver = reverseDriverSelect.value;
+    const target = marketEV(data, reverseBasisSelect.value, amount);
+    const solved = target != null ? DCFValuation.impliedDriver(data, driver, target, valuationSettings) : null;
+    const label = REVERSE_DRIVERS[driver];
+    if (!solved) {
+      reverseResultEl.textContent = `No ${label.toLowerCase()} within a plausible range reproduces that price.`;
+      return;
+    }
+    reverseResult = { driver, value: solved.value, model: solved.model };
+
+    const model = { revenueGrowth: forecastCAGR(data), terminalGrowth: data.scalars.terminalGrowth, ebitdaMargin: forecastMargin(data) }[driver];
+    reverseResultEl.innerHTML = [
+      `Implied ${label.toLowerCase()}: <strong>${fmt(solved.value, { pct: true })}</strong>` + (model != null ? ` vs ${fmt(model, { pct: true })} in the model` : ''),
+      `Market enterprise value ${fmt(target)} vs DCF ${fmt(result.enterpriseValue)}`,
+      driver === 'terminalGrowth'
+        ? 'Terminal value at perpetuity growth; the forecast is unchanged.'
+        : 'One rate over the forecast; the implied path is drawn on the revenue chart.',
+    ].join('<br>');
+  }
+
+  // Solve again and redraw the revenue chart with the new path
+  function onReverseChange() {
+    if (!currentData) return;
+    renderReverseDCF(currentData);
+    if (revenueChart) {
+      revenueChart.destroy();
+      charts = charts.filter((c) => c !== revenueChart);
+      revenueChart = null;
+    }
+    renderRevenueFCF(currentData);
+  }
+
+  reverseBasisSelect.addEventListener('change', onReverseChange);
+  reverseAmountInput.addEventListener('change', onReverseChange);
+  reverseDriverSelect.addEventListener('change', onReverseChange);
+
   // ── Chart 2: Margin Analysis ──
   function renderMargins(data) {
     const ctx = document.getElementById('chart-margins');
+    showChart('chart-margins-wrap');
     const keys = [
       { key: 'grossMargin', label: 'Gross Margin', color: '#4f8cff' },
       { key: 'ebitdaMargin', label: 'EBITDA Margin', color: '#34d399' },
@@ -831,16 +1497,24 @@
         tension: 0.3,
         fill: false,
         pointRadius: 4,
+        sourceKey: k.key,
+        ...projectionLineStyle(data, k.color),
       }));
 
     if (datasets.length === 0) { hideChart('chart-margins-wrap'); return; }
 
-    charts.push(new Chart(ctx, {
+    charts.push(drawChart(ctx, {
       type: 'line',
-      data: { labels: data.years.map(String), datasets },
+      data: { labels: periodLabels(data), datasets },
+      plugins: [projectionDivider],
       options: {
         ...CHART_DEFAULTS,
         scales: makeScales('Margin (%)'),
+        plugins: {
+          ...CHART_DEFAULTS.plugins,
+          tooltip: { callbacks: { title: periodTooltipTitle(data), afterLabel: (ctx) => seriesSourceLine(data, ctx) } },
+          projectionDivider: { index: firstProjectedIndex(data) },
+        },
       },
     }));
   }
@@ -848,20 +1522,13 @@
   // ── Chart 3: Cash Flow Waterfall ──
   function renderWaterfall(data) {
     const ctx = document.getElementById('chart-waterfall');
+    showChart('chart-waterfall-wrap');
 
     // Use the latest year that has data
-    const steps = ['revenue', 'ebitda', 'ebit', 'netIncome', 'fcf'];
-    const labels = ['Revenue', 'EBITDA', 'EBIT', 'Net Income', 'FCF'];
     const lastIdx = data.years.length - 1;
-
-    const values = steps.map((k) => {
-      if (data.series[k]) return data.series[k][lastIdx];
-      return null;
-    }).filter((v) => v != null);
-
-    const usedLabels = steps
-      .map((k, i) => (data.series[k] && data.series[k][lastIdx] != null ? labels[i] : null))
-      .filter((l) => l != null);
+    const projected = isProjected(data, lastIdx);
+    const { bridge, steps } = waterfallSteps(data, lastIdx);
+    const values = steps.map((step) => step.value);
 
     if (values.length < 2) { hideChart('chart-waterfall-wrap'); return; }
 
@@ -884,14 +1551,17 @@
     floatingData[floatingData.length - 1] = [0, values[values.length - 1]];
     bgColors[bgColors.length - 1] = 'rgba(167, 139, 250, 0.7)';
 
-    charts.push(new Chart(ctx, {
+    // A projected year is drawn faded, like projections elsewhere
+    const fills = projected ? bgColors.map((c) => c.replace('0.7', '0.3')) : bgColors;
+
+    charts.push(drawChart(ctx, {
       type: 'bar',
       data: {
-        labels: usedLabels,
+        labels: steps.map((step) => step.label),
         datasets: [{
-          label: `Waterfall (${data.years[lastIdx]})`,
+          label: `${bridge ? 'EBIT to UFCF' : 'Waterfall'} (${periodLabels(data)[lastIdx]}${data.periods ? (projected ? ', projected' : ', actual') : ''})`,
           data: floatingData,
-          backgroundColor: bgColors,
+          backgroundColor: fills,
           borderColor: bgColors.map((c) => c.replace('0.7', '1')),
           borderWidth: 1,
         }],
@@ -904,8 +1574,17 @@
           tooltip: {
             callbacks: {
               label: (ctx) => {
-                const v = Array.isArray(ctx.raw) ? ctx.raw[1] : ctx.raw;
-                return fmt(v);
+                const i = ctx.dataIndex;
+                // Build-up steps read as the change they make
+                if (bridge && i > 0 && i < values.length - 1) {
+                  const change = values[i] - values[i - 1];
+                  return (change < 0 ? '−' : '+') + fmt(Math.abs(change));
+                }
+                return fmt(values[i]);
+              },
+              afterLabel: (ctx) => {
+                const points = data.sources ? data.sources.series[steps[ctx.dataIndex].key] : null;
+                return points ? describeSource(points[lastIdx]) : null;
               },
             },
           },
@@ -917,28 +1596,56 @@
   // ── Chart 4: DCF Valuation Breakdown (Doughnut) ──
   function renderValuation(data) {
     const ctx = document.getElementById('chart-valuation');
-    const pvFCF = data.scalars.pvFCF;
-    const pvTV = data.scalars.pvTerminal;
-
-    if (pvFCF == null && pvTV == null) { hideChart('chart-valuation-wrap'); return; }
-
-    const vals = [];
-    const labs = [];
-    const cols = [];
-    if (pvFCF != null)  { vals.push(Math.abs(pvFCF));  labs.push('PV of FCFs');        cols.push('#4f8cff'); }
-    if (pvTV != null)   { vals.push(Math.abs(pvTV));    labs.push('PV of Terminal Value'); cols.push('#34d399'); }
+    showChart('chart-valuation-wrap');
+    // One ring from parts: [{ label, value, color, source }]
+    const ring = (label, parts) => ({
+      label,
+      data: parts.map((p) => Math.abs(p.value)),
+      sources: parts.map((p) => p.source),
+      backgroundColor: parts.map((p) => p.color + 'bb'),
+      borderColor: parts.map((p) => p.color),
+      borderWidth: 2,
+    });
+
+    // A model with both terminal value methods gets a ring per method, priced by
+    // the valuation engine: perpetuity growth inside, exit multiple outside
+    const byMethod = ['growth', 'exit'].map((terminalMethod) =>
+      DCFValuation.valueDCF(data, { ...valuationSettings, terminalMethod })
+    );
+    let parts;
+    let datasets;
+    if (byMethod[0] && byMethod[1]) {
+      datasets = byMethod.map((v) => {
+        const exit = v.terminalMethod === 'exit';
+        parts = [
+          { label: 'PV of FCFs', value: v.pvFCF, color: '#4f8cff', source: { derived: true, formula: 'Σ FCF discounted at WACC' } },
+          {
+            label: 'PV of Terminal Value',
+            value: v.pvTerminal,
+            color: '#34d399',
+            source: {
+              derived: true,
+              formula: exit
+                ? `Final EBITDA × ${v.exitMultiple.toFixed(1)}x, discounted`
+                : `Gordon growth at ${v.terminalGrowth.toFixed(1)}%, discounted`,
+            },
+          },
+        ];
+        return ring(exit ? 'Exit multiple' : 'Perpetuity growth', parts);
+      });
+    } else {
+      const scalarSources = data.sources ? data.sources.scalars : {};
+      parts = [
+        { label: 'PV of FCFs', value: data.scalars.pvFCF, color: '#4f8cff', source: scalarSources.pvFCF },
+        { label: 'PV of Terminal Value', value: data.scalars.pvTerminal, color: '#34d399', source: scalarSources.pvTerminal },
+      ].filter((p) => p.value != null);
+      if (!parts.length) { hideChart('chart-valuation-wrap'); return; }
+      datasets = [ring(null, parts)];
+    }
 
-    charts.push(new Chart(ctx, {
+    valuationChart = drawChart(ctx, {
       type: 'doughnut',
-      data: {
-        labels: labs,
-        datasets: [{
-          data: vals,
-          backgroundColor: cols.map((c) => c + 'bb'),
-          borderColor: cols,
-          borderWidth: 2,
-        }],
-      },
+      data: { labels: parts.map((p) => p.label), datasets },
       options: {
         responsive: true,
         maintainAspectRatio: true,
@@ -949,18 +1656,105 @@
               label: (ctx) => {
                 const total = ctx.dataset.data.reduce((a, b) => a + b, 0);
                 const pct = ((ctx.raw / total) * 100).toFixed(1);
-                return `${ctx.label}: ${fmt(ctx.raw)} (${pct}%)`;
+                const method = ctx.dataset.label ? ctx.dataset.label + ' — ' : '';
+                return `${method}${ctx.label}: ${fmt(ctx.raw)} (${pct}%)`;
               },
+              afterLabel: (ctx) => describeSource(ctx.dataset.sources[ctx.dataIndex]),
+            },
+          },
+        },
+      },
+    });
+    charts.push(valuationChart);
+  }
+
+  // ── Chart 4b: Enterprise → Equity Bridge ──
+  // Writes each bar's value above it
+  const barValueLabels = {
+    id: 'barValueLabels',
+    afterDatasetsDraw(chart, args, opts) {
+      if (!opts.values) return;
+      const c = chart.ctx;
+      c.save();
+      c.fillStyle = '#e4e6ed';
+      c.font = '11px sans-serif';
+      c.textAlign = 'center';
+      chart.getDatasetMeta(0).data.forEach((bar, i) => {
+        c.fillText(opts.values[i], bar.x, Math.min(bar.y, bar.base) - 6);
+      });
+      c.restore();
+    },
+  };
+
+  function renderBridge(data) {
+    const ctx = document.getElementById('chart-bridge');
+    showChart('chart-bridge-wrap');
+    const bridge = DCFParser.equityBridge(data.scalars);
+    if (!bridge || bridge.steps.length < 2) { hideChart('chart-bridge-wrap'); return; }
+
+    // EV and equity as full bars, each adjustment floating from the running total
+    const labels = [];
+    const bars = [];
+    const colors = [];
+    const sources = [];
+    const scalarSources = data.sources ? data.sources.scalars : {};
+    let running = 0;
+    bridge.steps.forEach((step, i) => {
+      if (i === 0) {
+        labels.push(step.label);
+        bars.push([0, step.value]);
+        colors.push('rgba(79, 140, 255, 0.7)');
+      } else {
+        labels.push((step.value < 0 ? 'Less: ' : 'Plus: ') + step.label);
+        bars.push([running, running + step.value]);
+        colors.push(step.value < 0 ? 'rgba(248, 113, 113, 0.7)' : 'rgba(52, 211, 153, 0.7)');
+      }
+      running += step.value;
+      sources.push(scalarSources[step.key]);
+    });
+    labels.push('Equity Value');
+    bars.push([0, bridge.equityValue]);
+    colors.push('rgba(167, 139, 250, 0.7)');
+    sources.push({ derived: true, formula: 'Enterprise Value + bridge adjustments' });
+
+    const perShare = bridge.perShare != null
+      ? `${fmt(bridge.perShare)} per share on ${fmt(bridge.sharesOutstanding, { dollar: false })} shares`
+      : 'no share count found';
+
+    charts.push(drawChart(ctx, {
+      type: 'bar',
+      data: {
+        labels,
+        datasets: [{
+          label: `Equity value ${fmt(bridge.equityValue)} · ${perShare}`,
+          data: bars,
+          backgroundColor: colors,
+          borderColor: colors.map((c) => c.replace('0.7', '1')),
+          borderWidth: 1,
+        }],
+      },
+      options: {
+        ...CHART_DEFAULTS,
+        scales: makeScales(''),
+        plugins: {
+          ...CHART_DEFAULTS.plugins,
+          barValueLabels: { values: bars.map((b) => fmt(b[1] - b[0])) },
+          tooltip: {
+            callbacks: {
+              label: (ctx) => fmt(ctx.raw[1] - ctx.raw[0]),
+              afterLabel: (ctx) => describeSource(sources[ctx.dataIndex]),
             },
           },
         },
       },
+      plugins: [barValueLabels],
     }));
   }
 
   // ── Chart 5: Growth Rates ──
   function renderGrowth(data) {
     const ctx = document.getElementById('chart-growth');
+    showChart('chart-growth-wrap');
     const metricsToShow = [
       { key: 'revenue', label: 'Revenue', color: '#4f8cff' },
       { key: 'ebitda', label: 'EBITDA', color: '#34d399' },
@@ -969,7 +1763,7 @@
     ];
 
     const datasets = [];
-    const growthYears = data.years.slice(1);
+    const growthLabels = periodLabels(data).slice(1);
 
     for (const m of metricsToShow) {
       if (!data.series[m.key]) continue;
@@ -985,8 +1779,9 @@
       if (growth.some((g) => g !== null)) {
         datasets.push({
           label: m.label + ' Growth',
+          metricLabel: m.label,
           data: growth,
-          backgroundColor: m.color + '99',
+          backgroundColor: projectionColors(data, m.color + '99', m.color + '33', growth.length, 1),
           borderColor: m.color,
           borderWidth: 1,
         });
@@ -995,9 +1790,10 @@
 
     if (datasets.length === 0) { hideChart('chart-growth-wrap'); return; }
 
-    charts.push(new Chart(ctx, {
+    charts.push(drawChart(ctx, {
       type: 'bar',
-      data: { labels: growthYears.map(String), datasets },
+      data: { labels: growthLabels, datasets },
+      plugins: [projectionDivider],
       options: {
         ...CHART_DEFAULTS,
         scales: makeScales('Growth (%)'),
@@ -1005,71 +1801,1047 @@
           ...CHART_DEFAULTS.plugins,
           tooltip: {
             callbacks: {
+              title: periodTooltipTitle(data, 1),
               label: (ctx) => `${ctx.dataset.label}: ${ctx.raw != null ? ctx.raw.toFixed(1) + '%' : 'N/A'}`,
+              afterLabel: (ctx) => `Derived: ${ctx.dataset.metricLabel} change (${periodLabels(data)[ctx.dataIndex]} → ${growthLabels[ctx.dataIndex]})`,
             },
           },
+          projectionDivider: { index: firstProjectedIndex(data, 1) },
         },
       },
     }));
   }
 
-  // ── Chart 6: Sensitivity Table ──
+  // ── Tornado: one driver at a time, ranked by the swing in value ──
+  function renderTornadoRanges() {
+    tornadoRangesEl.innerHTML = '';
+    for (const [key, d] of Object.entries(TORNADO_DEFAULTS)) {
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = '0';
+      input.step = 'any';
+      input.value = tornadoRanges[key];
+      input.title = `${d.label} is moved this many percentage points each way`;
+      input.addEventListener('change', () => {
+        tornadoRanges[key] = input.value === '' ? 0 : Math.abs(Number(input.value));
+        redrawTornado();
+      });
+      label.append(d.label + ' ±', input);
+      tornadoRangesEl.appendChild(label);
+    }
+  }
+
+  function renderTornado(data) {
+    const wrap = document.getElementById('tornado-wrap');
+    tornadoChart = null;
+    if (!tornadoRanges) {
+      tornadoRanges = {};
+      for (const [key, d] of Object.entries(TORNADO_DEFAULTS)) tornadoRanges[key] = d.range;
+    }
+    const result = DCFValuation.tornado(data, tornadoRanges, valuationSettings);
+    wrap.style.display = result ? '' : 'none';
+    if (!result) return;
+    renderTornadoRanges();
+
+    const bridge = simulationBridge(data);
+    tornadoOutputSelect.disabled = !bridge;
+    if (!bridge) tornadoOutputSelect.value = 'enterpriseValue';
+    const perShare = (ev) => (ev != null && bridge ? (ev + bridge.adjustment) / bridge.shares : null);
+    const output = tornadoOutputSelect.value === 'perShare' ? perShare : (ev) => ev;
+    const base = output(result.base);
+
+    if (!result.rows.length) {
+      tornadoNote.textContent = 'Set a range above zero for at least one driver.';
+    } else {
+      const top = result.rows[0];
+      tornadoNote.textContent = `Largest swing: ${TORNADO_DEFAULTS[top.driver].label}, ${fmt(top.swing)} of enterprise value` +
+        (bridge ? ` (${fmt(top.swing / bridge.shares)} per share)` : '') + '. Capex, tax and NWC move forecast FCF.';
+    }
+
+    // Each bar floats from the base value to the value with the driver moved
+    const rows = result.rows;
+    const bars = (side) => rows.map((r) => (r[side] != null ? [base, output(r[side])] : null));
+    const dataset = (side, label, color) => ({
+      label,
+      data: bars(side),
+      backgroundColor: color,
+      borderColor: color.replace('0.7', '1'),
+      borderWidth: 1,
+      grouped: false,
+    });
+
+    tornadoChart = drawChart(document.getElementById('chart-tornado'), {
+      type: 'bar',
+      data: {
+        labels: rows.map(tornadoLabel),
+        datasets: [
+          dataset('low', 'Driver lowered', 'rgba(251, 191, 36, 0.7)'),
+          dataset('high', 'Driver raised', 'rgba(79, 140, 255, 0.7)'),
+        ],
+      },
+      options: {
+        ...CHART_DEFAULTS,
+        indexAxis: 'y',
+        scales: {
+          // Bars float around the base value; zero need not be on the axis
+          x: { ...CHART_DEFAULTS.scales.x, beginAtZero: false, ticks: { ...CHART_DEFAULTS.scales.x.ticks, callback: (v) => fmt(v) } },
+          y: { ...CHART_DEFAULTS.scales.y },
+        },
+        plugins: {
+          ...CHART_DEFAULTS.plugins,
+          tooltip: {
+            callbacks: {
+              label: (ctx) => {
+                const value = ctx.raw[1];
+                const change = value - base;
+                return `${ctx.dataset.label}: ${fmt(value)} (${change < 0 ? '−' : '+'}${fmt(Math.abs(change))})`;
+              },
+              afterLabel: (ctx) => {
+                const r = rows[ctx.dataIndex];
+                const ev = ctx.datasetIndex === 0 ? r.low : r.high;
+                return tornadoOutputSelect.value === 'perShare' ? `Enterprise value ${fmt(ev)}` : bridge ? `${fmt(perShare(ev))} per share` : null;
+              },
+            },
+          },
+        },
+      },
+    });
+    charts.push(tornadoChart);
+  }
+
+  function redrawTornado() {
+    if (!currentData) return;
+    if (tornadoChart) {
+      tornadoChart.destroy();
+      charts = charts.filter((c) => c !== tornadoChart);
+    }
+    renderTornado(currentData);
+  }
+
+  tornadoOutputSelect.addEventListener('change', redrawTornado);
+
+  // ── Sensitivity: tables over any two drivers ──
+  const SENSITIVITY_OUTPUTS = { enterpriseValue: 'Enterprise value', perShare: 'Equity / share', upside: 'Upside vs price' };
+
+  // The model's value of each driver, where it has one
+  function sensitivityBases(data) {
+    return {
+      wacc: valuationSettings.wacc != null ? valuationSettings.wacc : data.scalars.wacc,
+      terminalGrowth: data.scalars.terminalGrowth,
+      exitMultiple: data.scalars.exitMultiple,
+      revenueGrowth: forecastCAGR(data),
+      ebitdaMargin: data.series.ebitda ? forecastMargin(data) : null,
+    };
+  }
+
+  // Grid of the table's output, or an error message
+  function sensitivityValues(data, table, bases) {
+    const { rows, cols } = table;
+    for (const axis of [rows, cols]) {
+      if (bases[axis.driver] == null) return `The model has no ${SENSITIVITY_AXES[axis.driver].label.toLowerCase()}.`;
+      if (!(axis.step > 0) || !(axis.count >= 2)) return 'Steps must be positive, with at least two of them.';
+    }
+    if (table.output === 'upside' && !(table.price > 0)) return 'Enter the current price to show upside.';
+    const rowValues = axisValues(bases[rows.driver], rows);
+    const colValues = axisValues(bases[cols.driver], cols);
+
+    let ev;
+    try {
+      ev = DCFValuation.sensitivityGrid(data, { driver: rows.driver, values: rowValues }, { driver: cols.driver, values: colValues }, valuationSettings);
+    } catch (err) {
+      return err.message + '.';
+    }
+
+    // No forecast to discount: scale the stated EV by the Gordon multiple
+    const baseEV = data.scalars.enterpriseValue;
+    const gordon = rows.driver === 'wacc' && cols.driver === 'terminalGrowth' && baseEV != null && bases.wacc > bases.terminalGrowth;
+    if (gordon && !DCFValuation.valueDCF(data, valuationSettings)) ev = DCFValuation.gordonGrid(baseEV, bases, rowValues, colValues);
+
+    const bridge = simulationBridge(data);
+    const output = (v) => {
+      if (v == null || table.output === 'enterpriseValue') return v;
+      const perShare = (v + bridge.adjustment) / bridge.shares;
+      return table.output === 'perShare' ? perShare : (perShare / table.price - 1) * 100;
+    };
+    return { rowValues, colValues, values: ev.map((row) => row.map(output)) };
+  }
+
+  // Green above the base case, red below (above / below zero for upside)
+  function heatColour(value, ref, spread) {
+    if (value == null || !spread) return '';
+    const t = Math.min(1, Math.abs(value - ref) / spread);
+    if (t < 1e-9) return '';
+    const rgb = value > ref ? '52, 211, 153' : '248, 113, 113';
+    return `background: rgba(${rgb}, ${(0.08 + t * 0.37).toFixed(2)})`;
+  }
+
   function renderSensitivity(data) {
     const container = document.getElementById('sensitivity-table');
     container.innerHTML = '';
+    showChart('sensitivity-wrap');
 
-    const baseWACC = data.scalars.wacc;
-    const baseTG = data.scalars.terminalGrowth;
+    const bases = sensitivityBases(data);
     const baseEV = data.scalars.enterpriseValue;
-    const lastFCF = data.series.fcf
-      ? data.series.fcf.filter((x) => x != null).pop()
-      : null;
-
-    if (baseWACC == null || baseTG == null || (baseEV == null && lastFCF == null)) {
+    if (bases.wacc == null || (bases.terminalGrowth == null && bases.exitMultiple == null) || (baseEV == null && !data.series.fcf)) {
       hideChart('sensitivity-wrap');
       return;
     }
+    if (!sensitivityTables) sensitivityTables = [defaultSensitivityTable(bases)];
+    const perShare = !!simulationBridge(data);
+
+    sensitivityTables.forEach((table, n) => {
+      if (!perShare) table.output = 'enterpriseValue';
+      const block = document.createElement('div');
+      block.className = 'sens-block';
+      block.appendChild(sensitivityControls(data, table, n, bases, perShare));
+
+      const grid = sensitivityValues(data, table, bases);
+      if (typeof grid === 'string') {
+        const note = document.createElement('p');
+        note.className = 'text-muted';
+        note.textContent = grid;
+        block.appendChild(note);
+        container.appendChild(block);
+        return;
+      }
+
+      const { rows, cols } = table;
+      const cell = (v) => (v == null ? '--' : table.output === 'upside' ? fmt(v, { pct: true }) : fmt(v));
+      const middle = (values, driver) => values.findIndex((v) => Math.abs(v - bases[driver]) < 1e-9);
+      const baseRow = middle(grid.rowValues, rows.driver);
+      const baseCol = middle(grid.colValues, cols.driver);
+      const ref = table.output === 'upside' ? 0 : baseRow >= 0 && baseCol >= 0 ? grid.values[baseRow][baseCol] : null;
+      const spread = ref == null ? 0 : Math.max(...grid.values.flat().filter((v) => v != null).map((v) => Math.abs(v - ref)));
+
+      let html = `<table><thead><tr><th>${axesCorner(table)}</th>`;
+      for (const c of grid.colValues) html += `<th>${axisTick(cols.driver, c)}</th>`;
+      html += '</tr></thead><tbody>';
+      grid.values.forEach((row, r) => {
+        html += `<tr><th>${axisTick(rows.driver, grid.rowValues[r])}</th>`;
+        row.forEach((v, c) => {
+          const isBase = r === baseRow && c === baseCol;
+          html += `<td class="${isBase ? 'cell-highlight' : ''}" style="${isBase ? '' : heatColour(v, ref, spread)}">${cell(v)}</td>`;
+        });
+        html += '</tr>';
+      });
+      html += '</tbody></table>';
+      const tableEl = document.createElement('div');
+      tableEl.className = 'sens-grid';
+      tableEl.innerHTML = html;
+      block.appendChild(tableEl);
+      container.appendChild(block);
+    });
+  }
 
-    // Generate grid: WACC variations x Terminal Growth variations
-    const waccBase = baseWACC; // already in %
-    const tgBase = baseTG;     // already in %
-    const waccRange = [-2.0, -1.0, -0.5, 0, 0.5, 1.0, 2.0].map((d) => waccBase + d);
-    const tgRange = [-1.0, -0.5, 0, 0.5, 1.0].map((d) => tgBase + d);
+  // Axis, step, output and export controls above a table
+  function sensitivityControls(data, table, n, bases, perShare) {
+    const bar = document.createElement('div');
+    bar.className = 'sens-controls';
+    // The football field's DCF ranges come from these tables
+    const rerender = () => { renderSensitivity(currentData); redrawFootballField(); };
+    const number = (value, onChange) => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.step = 'any';
+      input.value = value != null ? value : '';
+      input.addEventListener('change', () => onChange(input.value === '' ? null : Number(input.value)));
+      return input;
+    };
+    const labelled = (text, ...inputs) => {
+      const label = document.createElement('label');
+      label.append(text, ...inputs);
+      return label;
+    };
 
-    // Compute EV using Gordon Growth: TV = FCF*(1+g) / (WACC-g), then approximate EV
-    function computeEV(wacc, tg) {
-      const w = wacc / 100;
-      const g = tg / 100;
-      if (w <= g) return null;
-      if (lastFCF && lastFCF > 0) {
-        return (lastFCF * (1 + g)) / (w - g);
+    for (const [name, axis] of [['Rows', table.rows], ['Columns', table.cols]]) {
+      const select = document.createElement('select');
+      for (const [key, a] of Object.entries(SENSITIVITY_AXES)) {
+        if (bases[key] != null) select.add(new Option(a.label, key, false, key === axis.driver));
       }
-      // Scale from base EV
-      if (baseEV) {
-        const baseW = baseWACC / 100;
-        const baseG = baseTG / 100;
-        if (baseW <= baseG) return baseEV;
-        const ratio = ((1 + g) / (w - g)) / ((1 + baseG) / (baseW - baseG));
-        return baseEV * ratio;
+      select.addEventListener('change', () => {
+        axis.driver = select.value;
+        axis.step = SENSITIVITY_AXES[axis.driver].step;
+        rerender();
+      });
+      const step = number(axis.step, (v) => { axis.step = v; rerender(); });
+      const count = number(axis.count, (v) => { axis.count = v != null ? Math.min(15, Math.max(2, Math.round(v))) : 2; rerender(); });
+      count.step = 1;
+      bar.append(labelled(name, select), labelled('step', step), labelled('×', count));
+    }
+
+    const output = document.createElement('select');
+    for (const [key, label] of Object.entries(SENSITIVITY_OUTPUTS)) {
+      output.add(new Option(label, key, false, key === table.output));
+    }
+    output.disabled = !perShare;
+    output.title = perShare ? '' : 'Per-share values need shares outstanding and bridge items';
+    output.addEventListener('change', () => { table.output = output.value; rerender(); });
+    bar.appendChild(labelled('Output', output));
+    if (table.output === 'upside') {
+      bar.appendChild(labelled('Price', number(table.price, (v) => { table.price = v; rerender(); })));
+    }
+
+    const exportBtn = document.createElement('button');
+    exportBtn.className = 'btn-reset';
+    exportBtn.textContent = 'Export CSV';
+    exportBtn.addEventListener('click', () => exportSensitivity(data, table, bases));
+    bar.appendChild(exportBtn);
+    if (sensitivityTables.length > 1) {
+      const remove = document.createElement('button');
+      remove.className = 'btn-reset';
+      remove.textContent = 'Remove';
+      remove.addEventListener('click', () => { sensitivityTables.splice(n, 1); rerender(); });
+      bar.appendChild(remove);
+    }
+    return bar;
+  }
+
+  // The table as CSV: unformatted values, axis values in the first row and column
+  function exportSensitivity(data, table, bases) {
+    const grid = sensitivityValues(data, table, bases);
+    if (typeof grid === 'string') return;
+    const { rows, cols } = table;
+    const lines = [[`${axesCorner(table)} (${SENSITIVITY_OUTPUTS[table.output]})`, ...grid.colValues]];
+    grid.values.forEach((row, r) => lines.push([grid.rowValues[r], ...row.map((v) => (v == null ? '' : v))]));
+    const csv = lines.map((line) => line.map((v) => (typeof v === 'string' ? `"${v.replace(/"/g, '""')}"` : +v.toFixed(6))).join(',')).join('\n');
+
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([csv + '\n'], { type: 'text/csv' }));
+    a.download = `sensitivity-${rows.driver}-${cols.driver}-${table.output}.csv`;
+    a.click();
+    URL.revokeObjectURL(a.href);
+  }
+
+  sensitivityAddBtn.addEventListener('click', () => {
+    if (!currentData) return;
+    const bases = sensitivityBases(currentData);
+    const table = defaultSensitivityTable(bases);
+    // A second table defaults to the operating drivers when the model has them
+    if (bases.revenueGrowth != null && bases.ebitdaMargin != null) {
+      table.rows = { driver: 'revenueGrowth', step: 1, count: 5 };
+      table.cols = { driver: 'ebitdaMargin', step: 1, count: 5 };
+    }
+    sensitivityTables.push(table);
+    renderSensitivity(currentData);
+  });
+
+  // ── Football Field: value ranges side by side ──
+  const FOOTBALL_INPUTS = [
+    { key: 'comps', label: 'Trading comps' },
+    { key: 'precedents', label: 'Precedent transactions' },
+    { key: 'week52', label: '52-week range', price: true },
+  ];
+  const FOOTBALL_COLORS = ['#4f8cff', '#a78bfa', '#34d399', '#fbbf24', '#f87171', '#8b8fa3'];
+
+  // Per-share value of an EV through the bridge (items it lacks count as zero)
+  function shareBasis(data) {
+    const shares = data.scalars.sharesOutstanding;
+    if (!shares) return null;
+    const bridge = DCFParser.equityBridge(data.scalars);
+    return { shares, adjustment: bridge ? bridge.equityValue - bridge.steps[0].value : 0 };
+  }
+
+  // Lowest and highest EV of a sensitivity table over WACC and a terminal
+  // driver: the first such table set up, else the default around the model
+  function dcfRange(data, terminal) {
+    const bases = sensitivityBases(data);
+    if (terminal === 'exitMultiple' && bases.exitMultiple == null) {
+      const result = DCFValuation.valueDCF(data, valuationSettings);
+      bases.exitMultiple = result ? result.impliedMultiple : null;
+    }
+    if (bases.wacc == null || bases[terminal] == null) return null;
+    const drivers = (t) => [t.rows.driver, t.cols.driver].sort().join();
+    const want = ['wacc', terminal].sort().join();
+    const configured = (sensitivityTables || []).find((t) => drivers(t) === want);
+    const fallback = defaultSensitivityTable(bases);
+    const table = configured || {
+      ...fallback,
+      cols: terminal === 'terminalGrowth' ? fallback.cols : { driver: 'exitMultiple', step: 1, count: 5 },
+    };
+    const grid = sensitivityValues(data, { ...table, output: 'enterpriseValue' }, bases);
+    if (typeof grid === 'string') return null;
+    const values = grid.values.flat().filter((v) => v != null);
+    if (!values.length) return null;
+    const axis = (a, values) => {
+      const unit = SENSITIVITY_AXES[a.driver].unit;
+      return `${SENSITIVITY_AXES[a.driver].label} ${values[0].toFixed(1)}–${values[values.length - 1].toFixed(1)}${unit}`;
+    };
+    return {
+      low: Math.min(...values),
+      high: Math.max(...values),
+      note: `${axis(table.rows, grid.rowValues)}, ${axis(table.cols, grid.colValues)}`,
+    };
+  }
+
+  function renderFootballInputs(perShare) {
+    ffInputsEl.innerHTML = '';
+    const number = (value, placeholder, disabled, onChange) => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.step = 'any';
+      input.placeholder = placeholder;
+      input.disabled = disabled;
+      input.value = value != null ? value : '';
+      input.addEventListener('change', () => { onChange(input.value === '' ? null : Number(input.value)); redrawFootballField(); });
+      return input;
+    };
+    const unit = perShare ? '/ share' : 'EV';
+    for (const row of FOOTBALL_INPUTS) {
+      const range = footballInputs[row.key];
+      // Prices need a share count to sit on an EV scale
+      const disabled = row.price && !shareBasis(currentData);
+      const label = document.createElement('span');
+      label.textContent = row.label;
+      ffInputsEl.append(
+        label,
+        number(range.low, `Low ${row.price ? 'price' : unit}`, disabled, (v) => { range.low = v; }),
+        number(range.high, `High ${row.price ? 'price' : unit}`, disabled, (v) => { range.high = v; }),
+      );
+    }
+    const label = document.createElement('span');
+    label.textContent = 'Current price';
+    ffInputsEl.append(label, number(footballInputs.price, 'Price / share', !shareBasis(currentData), (v) => { footballInputs.price = v; }));
+  }
+
+  function renderFootballField(data) {
+    footballChart = null;
+    if (!footballInputs) {
+      footballInputs = { price: null };
+      for (const row of FOOTBALL_INPUTS) footballInputs[row.key] = { low: null, high: null };
+    }
+    const basis = shareBasis(data);
+    ffOutputSelect.disabled = !basis;
+    if (!basis) ffOutputSelect.value = 'enterpriseValue';
+    const perShare = ffOutputSelect.value === 'perShare';
+    const fromEV = (ev) => (perShare ? (ev + basis.adjustment) / basis.shares : ev);
+    const fromPrice = (price) => (perShare ? price : price * basis.shares - basis.adjustment);
+
+    // [{ label, low, high, note }], in the chosen output
+    const ranges = [];
+    const growth = dcfRange(data, 'terminalGrowth');
+    if (growth) ranges.push({ label: 'DCF – perpetuity growth', low: fromEV(growth.low), high: fromEV(growth.high), note: growth.note });
+    const exit = data.series.ebitda ? dcfRange(data, 'exitMultiple') : null;
+    if (exit) ranges.push({ label: 'DCF – exit multiple', low: fromEV(exit.low), high: fromEV(exit.high), note: exit.note });
+    if (mcResult) {
+      const p = mcResult.enterpriseValue.percentiles;
+      ranges.push({ label: 'Monte Carlo (P10–P90)', low: fromEV(p[10]), high: fromEV(p[90]), note: `Median ${fmt(fromEV(p[50]))}` });
+    }
+    for (const row of FOOTBALL_INPUTS) {
+      const { low, high } = footballInputs[row.key];
+      if (low == null || high == null || (row.price && !basis)) continue;
+      const convert = row.price ? fromPrice : (v) => v;
+      ranges.push({ label: row.label, low: Math.min(convert(low), convert(high)), high: Math.max(convert(low), convert(high)), note: 'Entered' });
+    }
+
+    renderFootballInputs(perShare);
+    if (!ranges.length) return;
+
+    const price = footballInputs.price != null && basis ? fromPrice(footballInputs.price) : null;
+    footballChart = drawChart(document.getElementById('chart-football'), {
+      type: 'bar',
+      data: {
+        labels: ranges.map((r) => r.label),
+        datasets: [{
+          label: perShare ? 'Equity value per share' : 'Enterprise value',
+          data: ranges.map((r) => [r.low, r.high]),
+          backgroundColor: ranges.map((r, i) => FOOTBALL_COLORS[i % FOOTBALL_COLORS.length] + 'b3'),
+          borderColor: ranges.map((r, i) => FOOTBALL_COLORS[i % FOOTBALL_COLORS.length]),
+          borderWidth: 1,
+        }],
+      },
+      options: {
+        ...CHART_DEFAULTS,
+        indexAxis: 'y',
+        scales: {
+          // Ranges float; the axis spans them and the current price
+          x: {
+            ...CHART_DEFAULTS.scales.x,
+            beginAtZero: false,
+            suggestedMin: price != null ? price : undefined,
+            suggestedMax: price != null ? price : undefined,
+            ticks: { ...CHART_DEFAULTS.scales.x.ticks, callback: (v) => fmt(v) },
+          },
+          y: { ...CHART_DEFAULTS.scales.y },
+        },
+        plugins: {
+          legend: { display: false },
+          priceMarker: { value: price },
+          tooltip: {
+            callbacks: {
+              label: (ctx) => `${fmt(ctx.raw[0])} – ${fmt(ctx.raw[1])}`,
+              afterLabel: (ctx) => ranges[ctx.dataIndex].note,
+            },
+          },
+        },
+      },
+      plugins: [chartBackground, priceMarker],
+    });
+    charts.push(footballChart);
+  }
+
+  function redrawFootballField() {
+    if (!currentData) return;
+    if (footballChart) {
+      footballChart.destroy();
+      charts = charts.filter((c) => c !== footballChart);
+    }
+    renderFootballField(currentData);
+  }
+
+  // Dashed vertical line at the current price
+  const priceMarker = {
+    id: 'priceMarker',
+    afterDatasetsDraw(chart, args, opts) {
+      if (opts.value == null) return;
+      const px = chart.scales.x.getPixelForValue(opts.value);
+      const { top, bottom, left, right } = chart.chartArea;
+      if (px < left || px > right) return;
+      const c = chart.ctx;
+      c.save();
+      c.strokeStyle = '#f87171';
+      c.lineWidth = 2;
+      c.setLineDash([6, 4]);
+      c.beginPath();
+      c.moveTo(px, top);
+      c.lineTo(px, bottom);
+      c.stroke();
+      c.fillStyle = '#f87171';
+      c.font = '11px sans-serif';
+      c.textAlign = px > (left + right) / 2 ? 'right' : 'left';
+      c.fillText(`Current ${fmt(opts.value)}`, px + (c.textAlign === 'right' ? -6 : 6), top + 12);
+      c.restore();
+    },
+  };
+
+  // Paint the panel colour behind the chart, so an exported image isn't transparent
+  const chartBackground = {
+    id: 'chartBackground',
+    beforeDraw(chart) {
+      const c = chart.ctx;
+      c.save();
+      c.globalCompositeOperation = 'destination-over';
+      c.fillStyle = '#1a1d27';
+      c.fillRect(0, 0, chart.width, chart.height);
+      c.restore();
+    },
+  };
+
+  ffOutputSelect.addEventListener('change', redrawFootballField);
+  ffExportBtn.addEventListener('click', () => {
+    if (!footballChart) return;
+    const a = document.createElement('a');
+    a.href = footballChart.toBase64Image('image/png', 1);
+    a.download = `${currentFile ? currentFile.name.replace(/\.[^.]+$/, '') : 'valuation'}-football-field.png`;
+    a.click();
+  });
+
+  // ── Valuation Check: recalculated DCF vs the workbook ──
+  const RECONCILE_LABELS = {
+    enterpriseValue: 'Enterprise Value',
+    pvFCF: 'PV of FCF',
+    pvTerminal: 'PV of Terminal Value',
+    terminalValue: 'Terminal Value',
+  };
+
+  function renderValuationCheck(data) {
+    const wrap = document.getElementById('valuation-check-wrap');
+    const result = DCFValuation.valueDCF(data, valuationSettings);
+    // A chosen date past every forecast period keeps the panel, so it can be changed back
+    const pinned = valuationSettings.valuationDate != null;
+    wrap.style.display = result || pinned ? '' : 'none';
+    if (!result) {
+      document.getElementById('reconcile-table').innerHTML = '';
+      document.getElementById('valuation-note').textContent = pinned
+        ? `No forecast cash flows after ${valuationSettings.valuationDate}.`
+        : '';
+      return;
+    }
+
+    midYearToggle.checked = result.midYear;
+    valuationDateInput.value = result.valuationDate;
+
+    let html = '<table><thead><tr><th>Metric</th><th>Workbook</th><th>Recalculated</th><th>Difference</th></tr></thead><tbody>';
+    for (const line of DCFValuation.reconcile(data, result)) {
+      const parsed = line.parsed != null
+        ? `<span title="${line.derived ? 'Back-solved from other parsed values' : ''}">${fmt(line.parsed)}${line.derived ? '*' : ''}</span>`
+        : '--';
+      const diff = line.diffPct != null
+        ? `<span class="${line.agrees ? 'diff-ok' : 'diff-off'}">${line.diffPct >= 0 ? '+' : ''}${line.diffPct.toFixed(1)}%</span>`
+        : '--';
+      html += `<tr><th>${RECONCILE_LABELS[line.key]}</th><td>${parsed}</td><td>${fmt(line.computed)}</td><td>${diff}</td></tr>`;
+    }
+    html += '</tbody></table>';
+    document.getElementById('reconcile-table').innerHTML = html;
+
+    const first = result.rows[0];
+    document.getElementById('valuation-note').textContent = [
+      `${result.rows.length} forecast period(s) discounted at ${result.wacc.toFixed(1)}%`,
+      result.terminalMethod === 'exit'
+        ? `exit multiple ${result.exitMultiple.toFixed(1)}×`
+        : result.terminalGrowth != null && `terminal growth ${result.terminalGrowth.toFixed(1)}%`,
+      result.stub != null && `stub: ${(result.stub * 100).toFixed(0)}% of ${first.label}`,
+      result.midYear ? 'mid-year convention' : 'end-of-period discounting',
+    ].filter(Boolean).join(' · ');
+  }
+
+  // Settings only reprice; the parsed model and the other charts stay as they are
+  function onValuationSettingsChange() {
+    if (!currentData) return;
+    const check = waccUseBuilt.checked ? DCFValuation.checkWACC(waccInputs || {}, currentData.scalars.wacc) : null;
+    valuationSettings = {
+      midYear: midYearToggle.checked,
+      valuationDate: valuationDateInput.value || null,
+      wacc: check ? check.built.wacc : null,
+    };
+    // Revalued scenarios were priced under the old settings
+    scenarioModels = {};
+    if (valuationSettings.wacc != null) delete whatIf.wacc;
+    renderWhatIfPanel(scenarioModel(activeScenario()));
+    if (changedInputs(scenarioModel(activeScenario()))) {
+      // So was the what-if model: redraw it whole
+      refreshDashboard();
+      return;
+    }
+    renderWhatIfMarker(scenarioModel(activeScenario()));
+    renderScenarioPanel();
+    if (valuationChart) {
+      valuationChart.destroy();
+      charts = charts.filter((c) => c !== valuationChart);
+      valuationChart = null;
+    }
+    renderValuation(currentData);
+    renderSensitivity(currentData);
+    renderValuationCheck(currentData);
+    renderSummaryCards(currentData);
+    onReverseChange();
+    redrawTornado();
+    redrawFootballField();
+  }
+
+  midYearToggle.addEventListener('change', onValuationSettingsChange);
+  entryPriceInput.addEventListener('input', () => currentData && renderIRR(currentData));
+  irrModeSelect.addEventListener('change', () => currentData && renderIRR(currentData));
+  valuationDateInput.addEventListener('change', onValuationSettingsChange);
+
+  // ── WACC Build-up: CAPM inputs from the sheet, editable ──
+  const WACC_FIELDS = [
+    { key: 'riskFreeRate',      label: 'Risk-free rate (%)' },
+    { key: 'beta',              label: 'Beta' },
+    { key: 'equityRiskPremium', label: 'Equity risk premium (%)' },
+    { key: 'sizePremium',       label: 'Size premium (%)' },
+    { key: 'costOfDebt',        label: 'Pre-tax cost of debt (%)' },
+    { key: 'taxRate',           label: 'Tax rate (%)' },
+    { key: 'debtToEquity',      label: 'Target debt / equity' },
+  ];
+
+  // The inputs as the sheet states them; a debt / capital weight stands in for D/E
+  function sheetWaccInputs(s) {
+    const inputs = {};
+    for (const f of WACC_FIELDS) inputs[f.key] = s[f.key] != null ? s[f.key] : null;
+    if (inputs.debtToEquity == null && s.debtWeight != null && s.debtWeight < 100) {
+      inputs.debtToEquity = s.debtWeight / (100 - s.debtWeight);
+    }
+    return inputs;
+  }
+
+  function renderWaccPanel(data) {
+    const wrap = document.getElementById('wacc-wrap');
+    const sheet = sheetWaccInputs(data.scalars);
+    if (!waccInputs) waccInputs = { ...sheet };
+    const anyParsed = WACC_FIELDS.some((f) => sheet[f.key] != null);
+    wrap.style.display = anyParsed ? '' : 'none';
+    if (!anyParsed) {
+      document.getElementById('sub-wacc').textContent = '';
+      return;
+    }
+
+    waccInputsEl.innerHTML = '';
+    for (const f of WACC_FIELDS) {
+      const label = document.createElement('label');
+      label.textContent = f.label;
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.step = 'any';
+      input.value = waccInputs[f.key] != null ? +waccInputs[f.key].toFixed(4) : '';
+      input.placeholder = '--';
+      input.classList.toggle('edited', waccInputs[f.key] !== sheet[f.key]);
+      input.addEventListener('change', () => {
+        waccInputs[f.key] = input.value === '' ? null : Number(input.value);
+        input.classList.toggle('edited', true);
+        // Editing an input means the user wants to see its effect
+        waccUseBuilt.checked = true;
+        renderWaccResult(data);
+        onValuationSettingsChange();
+      });
+      label.appendChild(input);
+      waccInputsEl.appendChild(label);
+    }
+    renderWaccResult(data);
+  }
+
+  function renderWaccResult(data) {
+    const check = DCFValuation.checkWACC(waccInputs, data.scalars.wacc);
+    waccUseBuilt.disabled = !check;
+    document.getElementById('sub-wacc').textContent = check ? `Built-up ${check.built.wacc.toFixed(1)}%` : '';
+    if (!check) {
+      waccResultEl.innerHTML = '<span class="text-muted">Needs risk-free rate, beta and equity risk premium (and a cost of debt when there is debt) to build a WACC.</span>';
+      return;
+    }
+    const b = check.built;
+    let html = `Built-up WACC <strong>${b.wacc.toFixed(2)}%</strong>`;
+    html += `<br><span class="text-muted">Cost of equity ${b.costOfEquity.toFixed(2)}% × ${b.equityWeight.toFixed(0)}%`;
+    if (b.afterTaxCostOfDebt != null && b.debtWeight > 0) {
+      html += ` + after-tax cost of debt ${b.afterTaxCostOfDebt.toFixed(2)}% × ${b.debtWeight.toFixed(0)}%`;
+    }
+    html += b.allEquity ? ' (no capital structure found: all equity)' : '';
+    html += '</span>';
+    if (check.differs) {
+      html += `<span class="diff-off">Differs from the sheet's stated ${check.stated.toFixed(2)}% by ${check.diff > 0 ? '+' : ''}${check.diff.toFixed(2)} pp</span>`;
+    } else if (check.stated != null) {
+      html += `<span class="diff-ok">Agrees with the sheet's stated ${check.stated.toFixed(2)}%</span>`;
+    }
+    waccResultEl.innerHTML = html;
+  }
+
+  waccUseBuilt.addEventListener('change', onValuationSettingsChange);
+
+  waccResetBtn.addEventListener('click', () => {
+    if (!currentData) return;
+    waccInputs = null;
+    waccUseBuilt.checked = false;
+    renderWaccPanel(currentData);
+    onValuationSettingsChange();
+  });
+
+  // ── Monte Carlo Simulation: drivers drawn from distributions, run in a worker ──
+  const MC_DRIVERS = [
+    { key: 'wacc', label: 'WACC (%)' },
+    { key: 'terminalGrowth', label: 'Terminal growth (%)' },
+    { key: 'revenueGrowth', label: 'Revenue growth (%/yr)' },
+    { key: 'ebitdaMargin', label: 'EBITDA margin (%)' },
+  ];
+  const MC_PARAMS = { normal: ['mean', 'sd'], triangular: ['min', 'mode', 'max'], uniform: ['min', 'max'] };
+
+  // Compound annual revenue growth over the forecast, from the period before it
+  function forecastCAGR(data) {
+    const revenue = data.series.revenue;
+    const forecast = DCFValuation.forecastIndexes(data);
+    if (!revenue || !forecast.length || forecast[0] < 1) return null;
+    const from = revenue[forecast[0] - 1];
+    const last = forecast[forecast.length - 1];
+    if (!(from > 0) || !(revenue[last] > 0)) return null;
+    const years = forecast.length * ({ annual: 12, half: 6, quarter: 3 }[data.periods[last].frequency] / 12);
+    return (Math.pow(revenue[last] / from, 1 / years) - 1) * 100;
+  }
+
+  function forecastMargin(data) {
+    const margins = DCFValuation.forecastIndexes(data)
+      .map((i) => (data.series.ebitdaMargin || [])[i])
+      .filter((m) => m != null);
+    return margins.length ? margins.reduce((a, b) => a + b, 0) / margins.length : null;
+  }
+
+  // Starting distributions around the model's values. Growth and margin replace
+  // the model's year-by-year path with one rate, so they start switched off.
+  function defaultMcDrivers(data) {
+    const wacc = valuationSettings.wacc != null ? valuationSettings.wacc : data.scalars.wacc;
+    const growth = data.scalars.terminalGrowth;
+    const cagr = forecastCAGR(data);
+    const margin = forecastMargin(data);
+    const round = (v) => +v.toFixed(2);
+    return {
+      wacc: wacc != null ? { enabled: true, type: 'normal', mean: round(wacc), sd: 1 } : null,
+      terminalGrowth: growth != null ? { enabled: true, type: 'triangular', min: round(growth - 0.5), mode: round(growth), max: round(growth + 0.5) } : null,
+      revenueGrowth: cagr != null ? { enabled: false, type: 'normal', mean: round(cagr), sd: 2 } : null,
+      ebitdaMargin: margin != null && data.series.ebitda ? { enabled: false, type: 'uniform', min: round(margin - 2), max: round(margin + 2) } : null,
+    };
+  }
+
+  // Parameters for a distribution type, seeded from whatever the driver had
+  function retype(driver, type) {
+    const centre = driver.mean != null ? driver.mean : driver.mode != null ? driver.mode : (driver.min + driver.max) / 2;
+    const spread = driver.sd != null ? driver.sd * 2 : driver.max != null ? (driver.max - driver.min) / 2 : 1;
+    const round = (v) => +v.toFixed(2);
+    if (type === 'normal') return { enabled: driver.enabled, type, mean: round(centre), sd: round(spread / 2) };
+    if (type === 'triangular') return { enabled: driver.enabled, type, min: round(centre - spread), mode: round(centre), max: round(centre + spread) };
+    return { enabled: driver.enabled, type, min: round(centre - spread), max: round(centre + spread) };
+  }
+
+  // EV to equity for values per share, when the model has bridge items and shares
+  function simulationBridge(data) {
+    const bridge = DCFParser.equityBridge(data.scalars);
+    if (!bridge || bridge.steps.length < 2 || !bridge.sharesOutstanding) return null;
+    return { adjustment: bridge.equityValue - bridge.steps[0].value, shares: bridge.sharesOutstanding };
+  }
+
+  // A run in progress and the last result belong to the model they priced
+  function cancelMonteCarlo() {
+    if (mcWorker && mcRunBtn.disabled) { mcWorker.terminate(); mcWorker = null; }
+    mcRunBtn.disabled = false;
+    mcRunId++;
+    mcResult = null;
+    mcResultsEl.hidden = true;
+    mcStatus.textContent = '';
+  }
+
+  function renderMonteCarlo(data) {
+    // Slider frames leave the simulation alone; the redraw on release resets it
+    if (liveRedraw) return;
+    const wrap = document.getElementById('monte-carlo-wrap');
+    cancelMonteCarlo();
+    const priceable = !!DCFValuation.valueDCF(data, valuationSettings);
+    wrap.style.display = priceable ? '' : 'none';
+    if (!priceable) return;
+
+    if (!mcDrivers) mcDrivers = defaultMcDrivers(data);
+    const perShare = !!simulationBridge(data);
+    mcOutputSelect.disabled = !perShare;
+    if (!perShare) mcOutputSelect.value = 'enterpriseValue';
+    mcTargetInput.placeholder = mcOutputSelect.value === 'perShare' ? 'Price / share' : 'Enterprise value';
+    renderMcDrivers();
+  }
+
+  function renderMcDrivers() {
+    mcDriversEl.innerHTML = '';
+    for (const d of MC_DRIVERS) {
+      const driver = mcDrivers[d.key];
+      if (!driver) continue;
+      const row = document.createElement('div');
+      row.className = 'mc-driver' + (driver.enabled ? '' : ' disabled');
+
+      const toggle = document.createElement('label');
+      const check = document.createElement('input');
+      check.type = 'checkbox';
+      check.checked = driver.enabled;
+      check.addEventListener('change', () => {
+        driver.enabled = check.checked;
+        row.classList.toggle('disabled', !driver.enabled);
+      });
+      toggle.append(check, ' ' + d.label);
+
+      const type = document.createElement('select');
+      for (const t of Object.keys(MC_PARAMS)) type.add(new Option(t[0].toUpperCase() + t.slice(1), t, false, t === driver.type));
+      type.addEventListener('change', () => {
+        mcDrivers[d.key] = retype(driver, type.value);
+        renderMcDrivers();
+      });
+
+      const params = document.createElement('div');
+      params.className = 'mc-params';
+      for (const p of MC_PARAMS[driver.type]) {
+        const label = document.createElement('label');
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = 'any';
+        input.value = driver[p];
+        input.addEventListener('change', () => { driver[p] = Number(input.value); });
+        label.append(p, input);
+        params.appendChild(label);
       }
-      return null;
+
+      row.append(toggle, type, params);
+      mcDriversEl.appendChild(row);
     }
+  }
 
-    let html = '<table><thead><tr><th>WACC \\ TGR</th>';
-    for (const tg of tgRange) html += `<th>${tg.toFixed(1)}%</th>`;
-    html += '</tr></thead><tbody>';
+  // The distributions to draw from, or an error message
+  function mcDistributions() {
+    const distributions = {};
+    for (const d of MC_DRIVERS) {
+      const driver = mcDrivers[d.key];
+      if (!driver || !driver.enabled) continue;
+      const values = MC_PARAMS[driver.type].map((p) => driver[p]);
+      if (values.some((v) => v == null || !isFinite(v))) return `${d.label}: fill in every parameter.`;
+      if (driver.type === 'normal' && driver.sd < 0) return `${d.label}: the standard deviation cannot be negative.`;
+      if (driver.type === 'triangular' && !(driver.min <= driver.mode && driver.mode <= driver.max)) return `${d.label}: needs min ≤ mode ≤ max.`;
+      if (driver.type === 'uniform' && driver.min > driver.max) return `${d.label}: needs min ≤ max.`;
+      distributions[d.key] = { type: driver.type };
+      for (const p of MC_PARAMS[driver.type]) distributions[d.key][p] = driver[p];
+    }
+    return Object.keys(distributions).length ? distributions : 'Switch on at least one driver to simulate.';
+  }
 
-    for (const wacc of waccRange) {
-      html += `<tr><th>${wacc.toFixed(1)}%</th>`;
-      for (const tg of tgRange) {
-        const ev = computeEV(wacc, tg);
-        const isBase = Math.abs(wacc - waccBase) < 0.01 && Math.abs(tg - tgBase) < 0.01;
-        html += `<td class="${isBase ? 'cell-highlight' : ''}">${ev != null ? fmt(ev) : '--'}</td>`;
+  function runMonteCarlo() {
+    if (!currentData) return;
+    const distributions = mcDistributions();
+    if (typeof distributions === 'string') { mcStatus.textContent = distributions; return; }
+    const iterations = Math.min(50000, Math.max(100, Math.round(Number(mcIterationsInput.value) || 5000)));
+
+    // A run still going is abandoned rather than queued behind
+    if (mcWorker && mcRunBtn.disabled) { mcWorker.terminate(); mcWorker = null; }
+    if (!mcWorker) mcWorker = new Worker('simulation-worker.js');
+    const id = ++mcRunId;
+    const data = currentData;
+    mcRunBtn.disabled = true;
+    mcStatus.textContent = 'Simulating…';
+
+    mcWorker.onmessage = (e) => {
+      if (e.data.id !== mcRunId) return;
+      if (e.data.progress != null) {
+        mcStatus.textContent = `Simulating… ${Math.round(e.data.progress * 100)}%`;
+        return;
+      }
+      mcRunBtn.disabled = false;
+      if (e.data.error || !e.data.result) {
+        mcStatus.textContent = e.data.error ? 'Simulation failed: ' + e.data.error : 'No draw could be valued (WACC must exceed terminal growth).';
+        return;
       }
-      html += '</tr>';
+      mcResult = e.data.result;
+      mcStatus.textContent = `${(mcResult.iterations - mcResult.rejected).toLocaleString()} of ${mcResult.iterations.toLocaleString()} draws valued` +
+        (mcResult.rejected ? ` (${mcResult.rejected.toLocaleString()} rejected: WACC ≤ terminal growth)` : '');
+      renderMcResult();
+      redrawFootballField();
+    };
+    mcWorker.onerror = (err) => {
+      if (id !== mcRunId) return;
+      mcRunBtn.disabled = false;
+      mcStatus.textContent = 'Simulation failed: ' + (err.message || 'worker error');
+    };
+    mcWorker.postMessage({
+      id,
+      model: { periods: data.periods, series: data.series, scalars: data.scalars, sources: data.sources ? { scalars: data.sources.scalars } : undefined },
+      options: { ...valuationSettings, distributions, iterations, bridge: simulationBridge(data) },
+    });
+  }
+
+  // Histogram of the chosen output, shaded by percentile band
+  function renderMcResult() {
+    if (!mcResult) return;
+    const output = mcOutputSelect.value === 'perShare' && mcResult.perShare ? 'perShare' : 'enterpriseValue';
+    const summary = mcResult[output];
+    const p = summary.percentiles;
+    const bins = DCFValuation.histogram(summary.values, 30);
+    const colors = bins.map((b) => {
+      const mid = (b.from + b.to) / 2;
+      if (mid >= p[25] && mid <= p[75]) return 'rgba(79, 140, 255, 0.85)';
+      if (mid >= p[5] && mid <= p[95]) return 'rgba(79, 140, 255, 0.5)';
+      return 'rgba(79, 140, 255, 0.2)';
+    });
+
+    if (mcChart) {
+      mcChart.destroy();
+      charts = charts.filter((c) => c !== mcChart);
+    }
+    mcResultsEl.hidden = false;
+    mcChart = new Chart(document.getElementById('chart-monte-carlo'), {
+      type: 'bar',
+      data: {
+        labels: bins.map((b) => fmt((b.from + b.to) / 2)),
+        datasets: [{
+          label: `${output === 'perShare' ? 'Value / share' : 'Enterprise value'} (P25–P75 dark, P5–P95 mid)`,
+          data: bins.map((b) => b.count),
+          backgroundColor: colors,
+          borderWidth: 0,
+          barPercentage: 1,
+          categoryPercentage: 1,
+        }],
+      },
+      options: {
+        ...CHART_DEFAULTS,
+        scales: makeScales('Draws'),
+        plugins: {
+          ...CHART_DEFAULTS.plugins,
+          tooltip: {
+            callbacks: {
+              title: (items) => {
+                const b = bins[items[0].dataIndex];
+                return `${fmt(b.from)} – ${fmt(b.to)}`;
+              },
+              label: (ctx) => `${ctx.raw} draws (${((ctx.raw / summary.values.length) * 100).toFixed(1)}%)`,
+            },
+          },
+        },
+      },
+    });
+    charts.push(mcChart);
+    renderMcStats(summary);
+  }
+
+  function renderMcStats(summary) {
+    const p = summary.percentiles;
+    const stats = [['P5', p[5]], ['P25', p[25]], ['Median', p[50]], ['P75', p[75]], ['P95', p[95]], ['Mean', summary.mean]];
+    let html = stats.map(([label, v]) => `<div>${label}<strong>${fmt(v)}</strong></div>`).join('');
+    const target = mcTargetInput.value === '' ? null : Number(mcTargetInput.value);
+    if (target != null && isFinite(target)) {
+      const chance = DCFValuation.probabilityAbove(summary.values, target);
+      html += `<div>P(&gt; ${escapeHtml(fmt(target))})<strong>${(chance * 100).toFixed(1)}%</strong></div>`;
+    }
+    document.getElementById('mc-stats').innerHTML = html;
+  }
+
+  mcRunBtn.addEventListener('click', runMonteCarlo);
+  mcOutputSelect.addEventListener('change', () => {
+    mcTargetInput.placeholder = mcOutputSelect.value === 'perShare' ? 'Price / share' : 'Enterprise value';
+    renderMcResult();
+  });
+  mcTargetInput.addEventListener('input', () => {
+    if (!mcResult) return;
+    const output = mcOutputSelect.value === 'perShare' && mcResult.perShare ? 'perShare' : 'enterpriseValue';
+    renderMcStats(mcResult[output]);
+  });
+
+  // ── Parse Diagnostics ──
+  const MATCH_KINDS = { exact: 'exact', word: 'word', contains: 'contains', partial: 'partial word', mapping: 'your mapping' };
+
+  function metricName(key) {
+    const entry = DCFParser.LABEL_MAP.find((e) => e.key === key);
+    return entry ? entry.name : key;
+  }
+
+  function renderDiagnostics(diag) {
+    diagnosticsPanel.hidden = !diag;
+    if (!diag) return;
+    diagnosticsPanel.open = false;
+
+    const { score, level } = diag.confidence;
+    diagnosticsConfidence.textContent = `Confidence ${score}% · ${level}`;
+    diagnosticsConfidence.className = 'confidence-badge ' + level;
+
+    const cellRef = (d) => `${escapeHtml(d.sheet)}!${d.cell}`;
+    const notes = [
+      diag.conflicts && `${diag.conflicts} value conflict(s) between sheets`,
+      diag.formulaErrors && `${diag.formulaErrors} formula error(s)`,
+      diag.circularReferences && `${diag.circularReferences} cell(s) on circular references, read as 0`,
+      diag.ignoredPeriods.length && `${diag.ignoredPeriods.length} period(s) off the main axis ignored`,
+      diag.perShareWarning,
+    ].filter(Boolean);
+
+    let html = notes.length ? `<p class="text-muted">${notes.join(' · ')}</p>` : '';
+
+    html += '<h3>Sheets</h3><table><thead><tr><th>Sheet</th><th>Score</th><th>Period header</th><th>Layout</th><th>Series</th><th>Scalars</th><th>Used</th></tr></thead><tbody>';
+    for (const sh of diag.sheets) {
+      html += `<tr><td>${escapeHtml(sh.name)}</td><td>${sh.score}</td><td>${sh.header || '--'}</td>` +
+        `<td>${sh.orientation === 'columns' ? 'periods down' : sh.orientation ? 'periods across' : '--'}</td>` +
+        `<td>${sh.series}</td><td>${sh.scalars}</td><td>${sh.used ? 'Yes' : escapeHtml(sh.note || 'No')}</td></tr>`;
+    }
+    html += '</tbody></table>';
+
+    html += `<h3>Matched labels (${diag.matches.length})</h3><table><thead><tr><th>Label</th><th>Cell</th><th>Metric</th><th>Match</th></tr></thead><tbody>`;
+    for (const m of diag.matches) {
+      html += `<tr><td>${escapeHtml(m.label)}</td><td>${cellRef(m)}</td><td>${escapeHtml(metricName(m.key))}</td>` +
+        `<td>${MATCH_KINDS[m.via]} “${escapeHtml(m.pattern)}”</td></tr>`;
     }
     html += '</tbody></table>';
-    container.innerHTML = html;
+
+    if (diag.ambiguous.length) {
+      html += `<h3>Ambiguous matches (${diag.ambiguous.length})</h3><ul>`;
+      for (const a of diag.ambiguous) {
+        const also = a.alternatives.length ? 'also fits ' + a.alternatives.map(metricName).join(', ') : a.reason;
+        html += `<li>${escapeHtml(a.label)} <span class="text-muted">(${cellRef(a)})</span> → ${escapeHtml(metricName(a.key))}; ${escapeHtml(also)}</li>`;
+      }
+      html += '</ul>';
+    }
+
+    if (diag.ignored.length) {
+      html += `<h3>Ignored rows (${diag.ignored.length})</h3><ul>`;
+      for (const i of diag.ignored) {
+        html += `<li>${escapeHtml(i.label)} <span class="text-muted">(${cellRef(i)})</span>: ${escapeHtml(i.reason)}</li>`;
+      }
+      html += '</ul>';
+    }
+
+    diagnosticsBody.innerHTML = html;
   }
 
   function hideChart(id) {
@@ -1077,4 +2849,10 @@
     if (el) el.style.display = 'none';
   }
 
+  // Undo hideChart: each render shows its chart again before deciding
+  function showChart(id) {
+    const el = document.getElementById(id);
+    if (el) el.style.display = '';
+  }
+
 })();
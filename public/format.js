@@ -0,0 +1,157 @@
+/* ============================================================
+   DCF Model Excel Visualizer — format.js
+   Number, source and chart-data formatting shared by the dashboard,
+   the server's report and the model export
+   ============================================================ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DCFFormat = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const SCALE_NAMES = { 1e3: 'thousands', 1e6: 'millions', 1e9: 'billions' };
+
+  // ────────────────────────────────────────────────
+  //  VALUES AND SOURCES
+  // ────────────────────────────────────────────────
+
+  // fmt(value, { pct, dollar }) in the model's currency: "$1.2M", "12.5%", "1.2M"
+  function formatter(symbol = '$') {
+    return (value, opts = {}) => {
+      if (value == null || isNaN(value)) return '--';
+      const abs = Math.abs(value);
+      if (opts.pct) return value.toFixed(1) + '%';
+      if (opts.dollar === false) {
+        if (abs >= 1e9) return (value / 1e9).toFixed(1) + 'B';
+        if (abs >= 1e6) return (value / 1e6).toFixed(1) + 'M';
+        if (abs >= 1e3) return (value / 1e3).toFixed(1) + 'K';
+        return value.toFixed(1);
+      }
+      if (abs >= 1e9) return symbol + (value / 1e9).toFixed(2) + 'B';
+      if (abs >= 1e6) return symbol + (value / 1e6).toFixed(1) + 'M';
+      if (abs >= 1e3) return symbol + (value / 1e3).toFixed(1) + 'K';
+      return symbol + value.toFixed(2);
+    };
+  }
+
+  // "DCF!H42 · Enterprise Value" for workbook cells, "Derived: …" for computed values
+  function describeSource(src) {
+    if (!src) return null;
+    if (src.derived) return 'Derived: ' + src.formula;
+    const scale = src.scale ? ` (stated in ${SCALE_NAMES[src.scale] || '×' + src.scale})` : '';
+    return `${src.sheet}!${src.cell} · ${src.label}${scale}`;
+  }
+
+  function periodLabels(model) {
+    return model.periods ? model.periods.map((p) => p.label) : model.years.map(String);
+  }
+
+  // ────────────────────────────────────────────────
+  //  CHART DATA
+  // ────────────────────────────────────────────────
+
+  // P&L levels leading down to FCF: [{ label, key, value }]
+  function levelSteps(model, idx) {
+    const steps = [['revenue', 'Revenue'], ['ebitda', 'EBITDA'], ['ebit', 'EBIT'], ['netIncome', 'Net Income'], ['fcf', 'FCF']];
+    return steps
+      .filter(([k]) => model.series[k] && model.series[k][idx] != null)
+      .map(([key, label]) => ({ label, key, value: model.series[key][idx] }));
+  }
+
+  // A derived unlevered FCF walked from EBIT through its build-up, each step
+  // carrying the running total
+  function ufcfSteps(model, idx) {
+    const at = (k) => (model.series[k] && model.series[k][idx] != null ? model.series[k][idx] : null);
+    if (at('ebit') == null || at('nopat') == null) return [];
+    const steps = [
+      { label: 'EBIT', key: 'ebit', value: at('ebit') },
+      { label: 'Taxes', key: 'nopat', value: at('nopat') },
+    ];
+    let total = at('nopat');
+    for (const [key, label, cash] of [['da', 'D&A', Math.abs], ['capex', 'Capex', (v) => -Math.abs(v)], ['nwcInvestment', 'ΔNWC', (v) => -v]]) {
+      if (at(key) == null) continue;
+      total += cash(at(key));
+      steps.push({ label, key, value: total });
+    }
+    steps.push({ label: 'UFCF', key: 'fcf', value: at('fcf') });
+    return steps;
+  }
+
+  // The waterfall of period `idx`: { bridge, steps }, bridge when it walks EBIT
+  // to a derived UFCF rather than down the income statement
+  function waterfallSteps(model, idx) {
+    const fcfSource = model.sources && model.sources.series.fcf ? model.sources.series.fcf[idx] : null;
+    const ufcf = fcfSource && fcfSource.derived ? ufcfSteps(model, idx) : [];
+    return ufcf.length ? { bridge: true, steps: ufcf } : { bridge: false, steps: levelSteps(model, idx) };
+  }
+
+  // Tornado drivers with their starting ranges (percentage points each way)
+  const TORNADO_DEFAULTS = {
+    wacc: { label: 'WACC', range: 1 },
+    terminalGrowth: { label: 'Terminal growth', range: 0.5 },
+    revenueGrowth: { label: 'Revenue growth', range: 2 },
+    ebitdaMargin: { label: 'EBITDA margin', range: 2 },
+    capexPct: { label: 'Capex % revenue', range: 1 },
+    taxRate: { label: 'Tax rate', range: 2 },
+    nwcPct: { label: 'NWC % revenue', range: 1 },
+  };
+
+  function tornadoLabel(row) {
+    return `${TORNADO_DEFAULTS[row.driver].label} ±${row.range}`;
+  }
+
+  // ────────────────────────────────────────────────
+  //  SENSITIVITY TABLES
+  // ────────────────────────────────────────────────
+
+  const SENSITIVITY_AXES = {
+    wacc: { label: 'WACC', unit: '%', step: 0.5 },
+    terminalGrowth: { label: 'Terminal growth', unit: '%', step: 0.5 },
+    exitMultiple: { label: 'Exit multiple', unit: 'x', step: 1 },
+    revenueGrowth: { label: 'Revenue CAGR', unit: '%', step: 1 },
+    ebitdaMargin: { label: 'EBITDA margin', unit: '%', step: 1 },
+  };
+
+  // WACC × terminal growth at ±2% / ±1%, or × exit multiple for exit-only models.
+  // `bases` holds the model's value of each driver
+  function defaultSensitivityTable(bases) {
+    const cols = bases.terminalGrowth != null ? 'terminalGrowth' : 'exitMultiple';
+    return {
+      rows: { driver: 'wacc', step: 0.5, count: 9 },
+      cols: { driver: cols, step: SENSITIVITY_AXES[cols].step, count: 5 },
+      output: 'enterpriseValue',
+      price: null,
+    };
+  }
+
+  // Axis values centred on the model's
+  function axisValues(base, axis) {
+    return Array.from({ length: axis.count }, (_, k) => base + (k - (axis.count - 1) / 2) * axis.step);
+  }
+
+  function axisTick(driver, value) {
+    return value.toFixed(1) + SENSITIVITY_AXES[driver].unit;
+  }
+
+  function axesCorner(table) {
+    return `${SENSITIVITY_AXES[table.rows.driver].label} \\ ${SENSITIVITY_AXES[table.cols.driver].label}`;
+  }
+
+  return {
+    formatter,
+    describeSource,
+    periodLabels,
+    waterfallSteps,
+    TORNADO_DEFAULTS,
+    tornadoLabel,
+    SENSITIVITY_AXES,
+    defaultSensitivityTable,
+    axisValues,
+    axisTick,
+    axesCorner,
+  };
+});
@@ -0,0 +1,751 @@
+/* ============================================================
+   DCF Model Excel Visualizer — formulas.js
+   Evaluates workbook formulas that have no cached value
+   (shared by the browser and the server, like parser.js)
+   ============================================================ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('xlsx'));
+  } else {
+    root.DCFFormulas = factory(root.XLSX);
+  }
+})(typeof self !== 'undefined' ? self : this, function (XLSX) {
+  'use strict';
+
+  // Excel errors travel through evaluation as plain objects; cells store SheetJS codes
+  const ERROR_CODES = {
+    '#NULL!': 0x00, '#DIV/0!': 0x07, '#VALUE!': 0x0F, '#REF!': 0x17, '#NAME?': 0x1D, '#NUM!': 0x24, '#N/A': 0x2A,
+  };
+
+  function err(code) {
+    return { error: code };
+  }
+
+  function isError(v) {
+    return v != null && typeof v === 'object' && typeof v.error === 'string';
+  }
+
+  // Ranges evaluate to { matrix: [[v, ...], ...] }
+  function isMatrix(v) {
+    return v != null && typeof v === 'object' && Array.isArray(v.matrix);
+  }
+
+  // ────────────────────────────────────────────────
+  //  TOKENIZER
+  // ────────────────────────────────────────────────
+
+  const CELL = "\\$?[A-Za-z]{1,3}\\$?\\d+";
+  const SHEET = "(?:'((?:[^']|'')+)'|([A-Za-z0-9_.]+))!";
+  const TOKEN_PATTERNS = [
+    ['ws', /^\s+/],
+    ['str', /^"((?:[^"]|"")*)"/],
+    ['err', /^(#DIV\/0!|#N\/A|#NAME\?|#NULL!|#NUM!|#REF!|#VALUE!)/],
+    ['func', /^((?:_xlfn\.|_xlws\.)?[A-Za-z][A-Za-z0-9.]*)\s*\(/],
+    ['ref', new RegExp(`^(?:${SHEET})?(${CELL})(?::(${CELL}))?`)],
+    ['cols', new RegExp(`^(?:${SHEET})?(\\$?[A-Za-z]{1,3}):(\\$?[A-Za-z]{1,3})(?![\\w(])`)],
+    ['rows', new RegExp(`^(?:${SHEET})?(\\$?\\d+):(\\$?\\d+)`)],
+    ['num', /^(\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?/],
+    ['bool', /^(TRUE|FALSE)(?![\w(])/i],
+    ['name', /^([A-Za-z_\\][A-Za-z0-9_.]*)/],
+    ['op', /^(<>|<=|>=|[-+*/^&=<>%(),;])/],
+  ];
+
+  function tokenize(src) {
+    const tokens = [];
+    let rest = src.replace(/^=/, '');
+    while (rest.length) {
+      let matched = false;
+      for (const [type, re] of TOKEN_PATTERNS) {
+        const m = rest.match(re);
+        if (!m) continue;
+        rest = rest.slice(m[0].length);
+        matched = true;
+        if (type !== 'ws') tokens.push({ type, m });
+        break;
+      }
+      if (!matched) throw new Error('Unexpected character in formula: ' + rest[0]);
+    }
+    return tokens;
+  }
+
+  // ────────────────────────────────────────────────
+  //  PARSER  (Excel precedence: comparison < & < +- < */ < ^ < unary < %)
+  // ────────────────────────────────────────────────
+
+  function sheetOf(m) {
+    if (m[1] != null) return m[1].replace(/''/g, "'");
+    return m[2] != null ? m[2] : null;
+  }
+
+  function decodeCell(a) {
+    return XLSX.utils.decode_cell(a.replace(/\$/g, '').toUpperCase());
+  }
+
+  function parseFormula(src) {
+    const tokens = tokenize(src);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const isOp = (t, ...ops) => t && t.type === 'op' && ops.includes(t.m[1]);
+    const expect = (op) => {
+      if (!isOp(peek(), op)) throw new Error(`Expected "${op}" in formula`);
+      pos++;
+    };
+
+    function binary(next, ops) {
+      return function () {
+        let left = next();
+        while (isOp(peek(), ...ops)) {
+          const op = tokens[pos++].m[1];
+          left = { type: 'binop', op, left, right: next() };
+        }
+        return left;
+      };
+    }
+
+    function unary() {
+      if (isOp(peek(), '-', '+')) {
+        const op = tokens[pos++].m[1];
+        return { type: 'unary', op, arg: unary() };
+      }
+      return postfix();
+    }
+
+    function postfix() {
+      let node = primary();
+      while (isOp(peek(), '%')) {
+        pos++;
+        node = { type: 'percent', arg: node };
+      }
+      return node;
+    }
+
+    const power = binary(unary, ['^']);
+    const multiplicative = binary(power, ['*', '/']);
+    const additive = binary(multiplicative, ['+', '-']);
+    const concat = binary(additive, ['&']);
+    const comparison = binary(concat, ['=', '<>', '<', '>', '<=', '>=']);
+
+    function primary() {
+      const t = tokens[pos++];
+      if (!t) throw new Error('Unexpected end of formula');
+      const m = t.m;
+      switch (t.type) {
+        case 'num': return { type: 'value', value: Number(m[0]) };
+        case 'str': return { type: 'value', value: m[1].replace(/""/g, '"') };
+        case 'bool': return { type: 'value', value: m[1].toUpperCase() === 'TRUE' };
+        case 'err': return { type: 'value', value: err(m[1]) };
+        case 'ref': {
+          const s = decodeCell(m[3]);
+          const e = m[4] ? decodeCell(m[4]) : s;
+          return { type: 'range', sheet: sheetOf(m), s, e, single: !m[4] };
+        }
+        case 'cols': {
+          const s = XLSX.utils.decode_col(m[3].replace(/\$/g, '').toUpperCase());
+          const e = XLSX.utils.decode_col(m[4].replace(/\$/g, '').toUpperCase());
+          return { type: 'range', sheet: sheetOf(m), s: { r: 0, c: s }, e: { r: Infinity, c: e } };
+        }
+        case 'rows': {
+          const s = Number(m[3].replace(/\$/g, '')) - 1;
+          const e = Number(m[4].replace(/\$/g, '')) - 1;
+          return { type: 'range', sheet: sheetOf(m), s: { r: s, c: 0 }, e: { r: e, c: Infinity } };
+        }
+        case 'func': {
+          const name = m[1].replace(/^_xl(fn|ws)\./, '').toUpperCase();
+          const args = [];
+          if (!isOp(peek(), ')')) {
+            do {
+              // Empty arguments, e.g. ROUND(A1,) or IF(A1,,0)
+              args.push(isOp(peek(), ',', ';', ')') ? { type: 'value', value: null } : comparison());
+            } while (isOp(peek(), ',', ';') && ++pos);
+          }
+          expect(')');
+          return { type: 'func', name, args };
+        }
+        case 'name': return { type: 'name', name: m[1] };
+        case 'op':
+          if (m[1] === '(') {
+            const node = comparison();
+            expect(')');
+            return node;
+          }
+          break;
+      }
+      throw new Error('Unexpected token in formula: ' + m[0]);
+    }
+
+    const ast = comparison();
+    if (pos < tokens.length) throw new Error('Unexpected token in formula: ' + tokens[pos].m[0]);
+    return ast;
+  }
+
+  // ────────────────────────────────────────────────
+  //  COERCION
+  // ────────────────────────────────────────────────
+
+  // Excel serial date (1900 system) ↔ JS date parts
+  const EPOCH = Date.UTC(1899, 11, 30);
+  const DAY_MS = 864e5;
+
+  function toSerial(y, m, d) {
+    return (Date.UTC(y, m - 1, d) - EPOCH) / DAY_MS;
+  }
+
+  function fromSerial(serial) {
+    return new Date(EPOCH + Math.floor(serial) * DAY_MS);
+  }
+
+  function toNumber(v) {
+    if (isError(v)) return v;
+    if (isMatrix(v)) return toNumber(v.matrix[0] ? v.matrix[0][0] : null);
+    if (v == null || v === '') return 0;
+    if (typeof v === 'boolean') return v ? 1 : 0;
+    if (typeof v === 'number') return v;
+    const n = Number(String(v).trim());
+    return isNaN(n) ? err('#VALUE!') : n;
+  }
+
+  function toText(v) {
+    if (isMatrix(v)) return toText(v.matrix[0] ? v.matrix[0][0] : null);
+    if (v == null) return '';
+    if (typeof v === 'boolean') return v ? 'TRUE' : 'FALSE';
+    return String(v);
+  }
+
+  function toBool(v) {
+    if (isMatrix(v)) return toBool(v.matrix[0] ? v.matrix[0][0] : null);
+    if (typeof v === 'string') {
+      if (/^true$/i.test(v)) return true;
+      if (/^false$/i.test(v)) return false;
+      return err('#VALUE!');
+    }
+    const n = toNumber(v);
+    return isError(n) ? n : n !== 0;
+  }
+
+  // Single value from an argument that may be a one-cell range
+  function scalar(v) {
+    if (!isMatrix(v)) return v;
+    return v.matrix.length === 1 && v.matrix[0].length === 1 ? v.matrix[0][0] : err('#VALUE!');
+  }
+
+  // Aggregate arguments: numbers inside ranges count, text and blanks there are skipped
+  function numbersOf(args) {
+    const out = [];
+    for (const a of args) {
+      if (isMatrix(a)) {
+        for (const row of a.matrix) {
+          for (const v of row) {
+            if (isError(v)) throw v;
+            if (typeof v === 'number') out.push(v);
+          }
+        }
+      } else {
+        const n = toNumber(a);
+        if (isError(n)) throw n;
+        out.push(n);
+      }
+    }
+    return out;
+  }
+
+  function cellsOf(v) {
+    return isMatrix(v) ? v.matrix.reduce((all, row) => all.concat(row), []) : [v];
+  }
+
+  // SUMIF / COUNTIF criteria: 5, ">0", "<>x", "abc"
+  function criteriaTest(criteria) {
+    if (typeof criteria === 'number') return (v) => v === criteria;
+    const m = toText(criteria).match(/^(<=|>=|<>|<|>|=)?(.*)$/);
+    const op = m[1] || '=';
+    const target = m[2];
+    const num = target !== '' && !isNaN(Number(target)) ? Number(target) : null;
+    return (v) => {
+      const cmp = num != null && typeof v === 'number'
+        ? v - num
+        : toText(v).toLowerCase().localeCompare(target.toLowerCase());
+      if (num != null && typeof v !== 'number' && op !== '<>') return false;
+      switch (op) {
+        case '=': return cmp === 0;
+        case '<>': return cmp !== 0;
+        case '<': return cmp < 0;
+        case '>': return cmp > 0;
+        case '<=': return cmp <= 0;
+        default: return cmp >= 0;
+      }
+    };
+  }
+
+  function compare(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    if (typeof a === 'boolean' && typeof b === 'boolean') return Number(a) - Number(b);
+    // Excel orders numbers < text < booleans
+    const rank = (v) => (typeof v === 'number' || v == null ? 0 : typeof v === 'string' ? 1 : 2);
+    if (rank(a) !== rank(b)) return rank(a) - rank(b);
+    return toText(a).toLowerCase().localeCompare(toText(b).toLowerCase());
+  }
+
+  function roundTo(n, digits, mode) {
+    const f = Math.pow(10, digits);
+    const x = Math.abs(n) * f;
+    const r = mode === 'up' ? Math.ceil(x - 1e-9) : mode === 'down' ? Math.floor(x + 1e-9) : Math.round(x + 1e-9);
+    return Math.sign(n) * r / f;
+  }
+
+  // ────────────────────────────────────────────────
+  //  FUNCTIONS
+  // ────────────────────────────────────────────────
+
+  // Each receives evaluated arguments (ranges as matrices). LAZY functions get
+  // thunks instead, so IF / IFERROR only evaluate the branch they need.
+  const LAZY = new Set(['IF', 'IFERROR', 'IFNA', 'CHOOSE']);
+
+  const FUNCTIONS = {
+    SUM: (args) => numbersOf(args).reduce((a, b) => a + b, 0),
+    PRODUCT: (args) => numbersOf(args).reduce((a, b) => a * b, 1),
+    AVERAGE: (args) => {
+      const nums = numbersOf(args);
+      return nums.length ? nums.reduce((a, b) => a + b, 0) / nums.length : err('#DIV/0!');
+    },
+    MIN: (args) => {
+      const nums = numbersOf(args);
+      return nums.length ? Math.min(...nums) : 0;
+    },
+    MAX: (args) => {
+      const nums = numbersOf(args);
+      return nums.length ? Math.max(...nums) : 0;
+    },
+    COUNT: (args) => args.reduce((n, a) => n + cellsOf(a).filter((v) => typeof v === 'number').length, 0),
+    COUNTA: (args) => args.reduce((n, a) => n + cellsOf(a).filter((v) => v != null && v !== '').length, 0),
+    SUMPRODUCT: (args) => {
+      const lists = args.map(cellsOf);
+      if (lists.some((l) => l.length !== lists[0].length)) return err('#VALUE!');
+      let total = 0;
+      for (let i = 0; i < lists[0].length; i++) {
+        total += lists.reduce((p, l) => p * (typeof l[i] === 'number' ? l[i] : 0), 1);
+      }
+      return total;
+    },
+    SUMIF: ([range, criteria, sumRange]) => {
+      const test = criteriaTest(scalar(criteria));
+      const cells = cellsOf(range);
+      const sums = sumRange ? cellsOf(sumRange) : cells;
+      return cells.reduce((t, v, i) => t + (test(v) && typeof sums[i] === 'number' ? sums[i] : 0), 0);
+    },
+    COUNTIF: ([range, criteria]) => cellsOf(range).filter(criteriaTest(scalar(criteria))).length,
+
+    IF: ([cond, yes, no]) => {
+      const c = toBool(cond());
+      if (isError(c)) return c;
+      if (c) return yes ? yes() : true;
+      return no ? no() : false;
+    },
+    IFERROR: ([value, fallback]) => {
+      const v = value();
+      return isError(v) ? fallback() : v;
+    },
+    IFNA: ([value, fallback]) => {
+      const v = value();
+      return isError(v) && v.error === '#N/A' ? fallback() : v;
+    },
+    CHOOSE: ([index, ...options]) => {
+      const i = toNumber(index());
+      if (isError(i)) return i;
+      return options[Math.floor(i) - 1] ? options[Math.floor(i) - 1]() : err('#VALUE!');
+    },
+    AND: (args) => args.every((a) => cellsOf(a).every((v) => v == null || toBool(v) === true)),
+    OR: (args) => args.some((a) => cellsOf(a).some((v) => v != null && toBool(v) === true)),
+    NOT: ([v]) => {
+      const b = toBool(v);
+      return isError(b) ? b : !b;
+    },
+
+    ABS: ([n]) => Math.abs(n),
+    SIGN: ([n]) => Math.sign(n),
+    INT: ([n]) => Math.floor(n),
+    MOD: ([n, d]) => (d === 0 ? err('#DIV/0!') : n - d * Math.floor(n / d)),
+    ROUND: ([n, d]) => roundTo(n, d || 0),
+    ROUNDUP: ([n, d]) => roundTo(n, d || 0, 'up'),
+    ROUNDDOWN: ([n, d]) => roundTo(n, d || 0, 'down'),
+    POWER: ([n, p]) => Math.pow(n, p),
+    SQRT: ([n]) => (n < 0 ? err('#NUM!') : Math.sqrt(n)),
+    EXP: ([n]) => Math.exp(n),
+    LN: ([n]) => (n <= 0 ? err('#NUM!') : Math.log(n)),
+    LOG: ([n, base]) => (n <= 0 ? err('#NUM!') : Math.log(n) / Math.log(base || 10)),
+    LOG10: ([n]) => (n <= 0 ? err('#NUM!') : Math.log10(n)),
+
+    NPV: ([rate, ...values]) => {
+      const r = toNumber(rate);
+      if (isError(r)) return r;
+      return numbersOf(values).reduce((t, v, i) => t + v / Math.pow(1 + r, i + 1), 0);
+    },
+    PV: ([rate, nper, pmt, fv, type]) => {
+      const t = type ? 1 : 0;
+      if (rate === 0) return -(pmt * nper + (fv || 0));
+      const f = Math.pow(1 + rate, nper);
+      return -((pmt * (1 + rate * t) * (f - 1)) / rate + (fv || 0)) / f;
+    },
+
+    DATE: ([y, m, d]) => toSerial(y < 1900 ? y + 1900 : y, m, d),
+    YEAR: ([s]) => fromSerial(s).getUTCFullYear(),
+    MONTH: ([s]) => fromSerial(s).getUTCMonth() + 1,
+    DAY: ([s]) => fromSerial(s).getUTCDate(),
+    EDATE: ([s, months]) => {
+      const d = fromSerial(s);
+      return toSerial(d.getUTCFullYear(), d.getUTCMonth() + 1 + months, d.getUTCDate());
+    },
+    EOMONTH: ([s, months]) => {
+      const d = fromSerial(s);
+      return toSerial(d.getUTCFullYear(), d.getUTCMonth() + 2 + months, 0);
+    },
+
+    INDEX: ([range, row, col]) => {
+      if (!isMatrix(range)) return row <= 1 && (col || 1) <= 1 ? range : err('#REF!');
+      const m = range.matrix;
+      // A single row or column may be indexed by one number
+      let r = Math.floor(toNumber(row) || 1) - 1;
+      let c = Math.floor(toNumber(col) || 1) - 1;
+      if (m.length === 1 && col == null) { c = r; r = 0; }
+      return m[r] && c < m[r].length ? m[r][c] : err('#REF!');
+    },
+    MATCH: ([value, range, type]) => {
+      const cells = cellsOf(range);
+      const mode = type == null ? 1 : toNumber(type);
+      const v = scalar(value);
+      if (mode === 0) {
+        const i = cells.findIndex((x) => compare(x, v) === 0);
+        return i === -1 ? err('#N/A') : i + 1;
+      }
+      // Approximate: last position still on the right side of the value (sorted data)
+      let found = -1;
+      cells.forEach((x, i) => {
+        if (x == null) return;
+        if (mode > 0 ? compare(x, v) <= 0 : compare(x, v) >= 0) found = i;
+      });
+      return found === -1 ? err('#N/A') : found + 1;
+    },
+    VLOOKUP: ([value, range, col, approx]) => lookup(value, range, col, approx, false),
+    HLOOKUP: ([value, range, row, approx]) => lookup(value, range, row, approx, true),
+  };
+
+  // Functions whose arguments are plain numbers (ranges / errors handled generically)
+  const NUMERIC = new Set([
+    'ABS', 'SIGN', 'INT', 'MOD', 'ROUND', 'ROUNDUP', 'ROUNDDOWN', 'POWER', 'SQRT', 'EXP', 'LN', 'LOG', 'LOG10',
+    'PV', 'DATE', 'YEAR', 'MONTH', 'DAY', 'EDATE', 'EOMONTH',
+  ]);
+
+  function lookup(value, range, index, approx, horizontal) {
+    if (!isMatrix(range)) return err('#N/A');
+    const rows = horizontal
+      ? range.matrix[0].map((_, c) => range.matrix.map((row) => row[c]))
+      : range.matrix;
+    const v = scalar(value);
+    const exact = approx === false || approx === 0;
+    let hit = -1;
+    for (let i = 0; i < rows.length; i++) {
+      const cmp = compare(rows[i][0], v);
+      if (cmp === 0) { hit = i; break; }
+      if (!exact && cmp < 0) hit = i;
+    }
+    if (hit === -1) return err('#N/A');
+    const i = Math.floor(toNumber(index)) - 1;
+    return i >= 0 && i < rows[hit].length ? rows[hit][i] : err('#REF!');
+  }
+
+  // ────────────────────────────────────────────────
+  //  EVALUATOR
+  // ────────────────────────────────────────────────
+
+  function createEvaluator(workbook) {
+    const asts = new Map();       // formula text → parsed AST
+    const inProgress = new Set(); // "Sheet!A1" currently being evaluated
+    const path = [];              // the same, outermost first
+    const cyclic = new Set();     // cells found on a circular reference
+    const names = {};
+    const stats = { evaluated: 0, errors: [], cycles: [] };
+
+    for (const n of (workbook.Workbook && workbook.Workbook.Names) || []) {
+      if (n.Sheet == null && n.Ref) names[n.Name.toUpperCase()] = n.Ref;
+    }
+
+    function findSheet(name) {
+      if (workbook.Sheets[name]) return name;
+      const lower = name.toLowerCase();
+      return workbook.SheetNames.find((s) => s.toLowerCase() === lower) || null;
+    }
+
+    function cellValue(sheetName, r, c) {
+      const sheet = workbook.Sheets[sheetName];
+      const addr = XLSX.utils.encode_cell({ r, c });
+      const cell = sheet[addr];
+      if (!cell) return null;
+      if (needsValue(cell)) {
+        // Excel, without iterative calculation, reads a circular reference as 0
+        const id = sheetName + '!' + addr;
+        if (inProgress.has(id)) {
+          markCycle(id);
+          return 0;
+        }
+        evaluateCell(sheetName, addr, cell);
+      }
+      if (cell.t === 'e') return err(cell.w || '#VALUE!');
+      if (cell.t === 'z') return null;
+      if (cell.v instanceof Date) return toSerial(cell.v.getFullYear(), cell.v.getMonth() + 1, cell.v.getDate());
+      return cell.v == null ? null : cell.v;
+    }
+
+    // Rows and columns a range node covers: { sheetName, r1, r2, c1, c2 }, or null
+    // for an unknown sheet. Whole-row / whole-column references stop at the used range
+    function rangeBounds(node, ctxSheet) {
+      const sheetName = node.sheet != null ? findSheet(node.sheet) : ctxSheet;
+      if (!sheetName) return null;
+      if (node.single) return { sheetName, r1: node.s.r, r2: node.s.r, c1: node.s.c, c2: node.s.c };
+      const sheet = workbook.Sheets[sheetName];
+      const bounds = sheet['!ref'] ? XLSX.utils.decode_range(sheet['!ref']) : { e: { r: 0, c: 0 } };
+      return {
+        sheetName,
+        r1: Math.min(node.s.r, node.e.r),
+        r2: Math.min(Math.max(node.s.r, node.e.r), bounds.e.r),
+        c1: Math.min(node.s.c, node.e.c),
+        c2: Math.min(Math.max(node.s.c, node.e.c), bounds.e.c),
+      };
+    }
+
+    function rangeValue(node, ctxSheet) {
+      const b = rangeBounds(node, ctxSheet);
+      if (!b) return err('#REF!');
+      const { sheetName, r1, r2, c1, c2 } = b;
+      if (node.single) return cellValue(sheetName, r1, c1);
+
+      const matrix = [];
+      for (let r = r1; r <= r2; r++) {
+        const row = [];
+        for (let c = c1; c <= c2; c++) row.push(cellValue(sheetName, r, c));
+        matrix.push(row);
+      }
+      return { matrix };
+    }
+
+    function evaluate(node, ctxSheet) {
+      switch (node.type) {
+        case 'value': return node.value;
+        case 'range': return rangeValue(node, ctxSheet);
+        case 'name': {
+          const ref = names[node.name.toUpperCase()];
+          if (!ref) return err('#NAME?');
+          return evaluateText(ref, ctxSheet);
+        }
+        case 'unary': {
+          const n = toNumber(scalar(evaluate(node.arg, ctxSheet)));
+          if (isError(n)) return n;
+          return node.op === '-' ? -n : n;
+        }
+        case 'percent': {
+          const n = toNumber(scalar(evaluate(node.arg, ctxSheet)));
+          return isError(n) ? n : n / 100;
+        }
+        case 'binop': return binop(node.op, scalar(evaluate(node.left, ctxSheet)), scalar(evaluate(node.right, ctxSheet)));
+        case 'func': return call(node, ctxSheet);
+      }
+      return err('#VALUE!');
+    }
+
+    function binop(op, a, b) {
+      if (isError(a)) return a;
+      if (isError(b)) return b;
+      if (op === '&') return toText(a) + toText(b);
+      if (['=', '<>', '<', '>', '<=', '>='].includes(op)) {
+        const cmp = compare(a == null ? (typeof b === 'string' ? '' : 0) : a, b == null ? (typeof a === 'string' ? '' : 0) : b);
+        return { '=': cmp === 0, '<>': cmp !== 0, '<': cmp < 0, '>': cmp > 0, '<=': cmp <= 0, '>=': cmp >= 0 }[op];
+      }
+      const x = toNumber(a);
+      const y = toNumber(b);
+      if (isError(x)) return x;
+      if (isError(y)) return y;
+      switch (op) {
+        case '+': return x + y;
+        case '-': return x - y;
+        case '*': return x * y;
+        case '/': return y === 0 ? err('#DIV/0!') : x / y;
+        case '^': return Math.pow(x, y);
+      }
+      return err('#VALUE!');
+    }
+
+    function call(node, ctxSheet) {
+      const fn = FUNCTIONS[node.name];
+      if (!fn) return err('#NAME?');
+      if (LAZY.has(node.name)) {
+        return fn(node.args.map((a) => () => evaluate(a, ctxSheet)));
+      }
+
+      let args = node.args.map((a) => evaluate(a, ctxSheet));
+      if (NUMERIC.has(node.name)) {
+        args = args.map((a) => (a == null ? a : toNumber(scalar(a))));
+        const bad = args.find(isError);
+        if (bad) return bad;
+      }
+      try {
+        const v = fn(args);
+        return typeof v === 'number' && !isFinite(v) ? err('#NUM!') : v;
+      } catch (e) {
+        if (isError(e)) return e;
+        throw e;
+      }
+    }
+
+    function parsed(formula) {
+      let ast = asts.get(formula);
+      if (!ast) {
+        ast = parseFormula(formula);
+        asts.set(formula, ast);
+      }
+      return ast;
+    }
+
+    function evaluateText(formula, ctxSheet) {
+      return evaluate(parsed(formula), ctxSheet);
+    }
+
+    // Formula cells a formula reads that have no value yet: [{ sheetName, addr, cell }].
+    // References only known once evaluated (a name's own names aside) are left out
+    function precedents(formula, ctxSheet) {
+      const found = [];
+      const seenNames = new Set();
+      const visit = (node) => {
+        switch (node.type) {
+          case 'range': {
+            const b = rangeBounds(node, ctxSheet);
+            if (!b) return;
+            const sheet = workbook.Sheets[b.sheetName];
+            for (let r = b.r1; r <= b.r2; r++) {
+              for (let c = b.c1; c <= b.c2; c++) {
+                const addr = XLSX.utils.encode_cell({ r, c });
+                if (sheet[addr] && needsValue(sheet[addr])) found.push({ sheetName: b.sheetName, addr, cell: sheet[addr] });
+              }
+            }
+            return;
+          }
+          case 'name': {
+            const name = node.name.toUpperCase();
+            if (names[name] && !seenNames.has(name)) {
+              seenNames.add(name);
+              visit(parsed(names[name]));
+            }
+            return;
+          }
+          case 'unary':
+          case 'percent': return visit(node.arg);
+          case 'binop': visit(node.left); return visit(node.right);
+          case 'func': return node.args.forEach(visit);
+        }
+      };
+      try {
+        visit(parsed(formula));
+      } catch (e) {
+        return [];  // unparseable: evaluating it reports the error
+      }
+      return found;
+    }
+
+    // The cells from `id` to the innermost one being evaluated form a cycle
+    function markCycle(id) {
+      for (const member of path.slice(path.indexOf(id))) cyclic.add(member);
+    }
+
+    // Evaluate one formula cell and write the result back as its value. The formula
+    // cells it reads go first, deepest first, off an explicit stack: a long chain
+    // (B2 = B1 + 1, B3 = B2 + 1, …) never nests one evaluation inside another
+    function evaluateCell(sheetName, addr, cell) {
+      const stack = [{ sheetName, addr, cell, expanded: false }];
+      while (stack.length) {
+        const top = stack[stack.length - 1];
+        const id = top.sheetName + '!' + top.addr;
+        if (!top.expanded) {
+          if (inProgress.has(id)) markCycle(id);
+          if (inProgress.has(id) || !needsValue(top.cell)) {
+            stack.pop();
+            continue;
+          }
+          top.expanded = true;
+          inProgress.add(id);
+          path.push(id);
+          for (const p of precedents(top.cell.f, top.sheetName)) stack.push({ ...p, expanded: false });
+          continue;
+        }
+        stack.pop();
+        computeCell(top.sheetName, top.addr, top.cell);
+        inProgress.delete(id);
+        path.pop();
+      }
+    }
+
+    function computeCell(sheetName, addr, cell) {
+      let v;
+      try {
+        v = scalar(evaluateText(cell.f, sheetName));
+      } catch (e) {
+        v = err('#NAME?');
+        stats.errors.push({ sheet: sheetName, cell: addr, formula: cell.f, error: e.message });
+      }
+      if (cyclic.has(sheetName + '!' + addr)) {
+        v = 0;
+        stats.cycles.push({ sheet: sheetName, cell: addr, formula: cell.f });
+      } else if (isError(v) && !stats.errors.some((x) => x.sheet === sheetName && x.cell === addr)) {
+        stats.errors.push({ sheet: sheetName, cell: addr, formula: cell.f, error: v.error });
+      }
+      setCell(cell, v);
+      stats.evaluated++;
+    }
+
+    return { cellValue, evaluateCell, stats };
+  }
+
+  // A formula cell whose cached result was not saved in the file
+  function needsValue(cell) {
+    return !!cell.f && (cell.t === 'z' || cell.v == null || (typeof cell.v === 'number' && isNaN(cell.v)));
+  }
+
+  function setCell(cell, v) {
+    delete cell.w;
+    if (isError(v)) {
+      cell.t = 'e';
+      cell.v = v.error in ERROR_CODES ? ERROR_CODES[v.error] : ERROR_CODES['#VALUE!'];
+      cell.w = v.error;
+    } else if (typeof v === 'number') {
+      cell.t = 'n';
+      cell.v = v;
+    } else if (typeof v === 'boolean') {
+      cell.t = 'b';
+      cell.v = v;
+    } else if (v == null) {
+      cell.t = 'n';
+      cell.v = 0;
+    } else {
+      cell.t = 's';
+      cell.v = String(v);
+    }
+  }
+
+  // Fill in every formula cell that has no cached value. Returns
+  // { evaluated, errors: [{ sheet, cell, formula, error }], cycles: [{ sheet, cell, formula }] },
+  // cells on a circular reference reading 0.
+  function evaluateWorkbook(workbook) {
+    const evaluator = createEvaluator(workbook);
+    for (const sheetName of workbook.SheetNames) {
+      const sheet = workbook.Sheets[sheetName];
+      for (const addr of Object.keys(sheet)) {
+        if (addr[0] === '!') continue;
+        const cell = sheet[addr];
+        if (needsValue(cell)) evaluator.evaluateCell(sheetName, addr, cell);
+      }
+    }
+    return { evaluated: evaluator.stats.evaluated, errors: evaluator.stats.errors, cycles: evaluator.stats.cycles };
+  }
+
+  return {
+    parseFormula,
+    evaluateWorkbook,
+  };
+});
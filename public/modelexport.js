@@ -0,0 +1,216 @@
+/* ============================================================
+   DCF Model Excel Visualizer — modelexport.js
+   Writes the normalized model out as XLSX, long CSV and JSON
+   ============================================================ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('xlsx'), require('./parser'), require('./format'));
+  } else {
+    root.DCFExport = factory(root.XLSX, root.DCFParser, root.DCFFormat);
+  }
+})(typeof self !== 'undefined' ? self : this, function (XLSX, DCFParser, DCFFormat) {
+  'use strict';
+
+  // Bump when the JSON layout changes in a way readers must handle
+  const SCHEMA = 'dcf-model';
+  const SCHEMA_VERSION = 1;
+
+  // Keys the parser only ever derives, so LABEL_MAP has no name for them
+  const DERIVED_NAMES = {
+    effectiveTaxRate: 'Effective Tax Rate',
+    nopat: 'NOPAT',
+    nwcInvestment: 'Investment in NWC',
+    impliedGrowth: 'Implied Terminal Growth',
+    impliedMultiple: 'Implied Exit Multiple',
+    terminalValueGrowth: 'Terminal Value (Growth)',
+    terminalValueExit: 'Terminal Value (Exit)',
+  };
+
+  // Year-over-year growth written alongside the series, as the dashboard charts it
+  const GROWTH_KEYS = ['revenue', 'ebitda', 'fcf', 'netIncome'];
+
+  // ────────────────────────────────────────────────
+  //  METRICS
+  // ────────────────────────────────────────────────
+
+  function metricName(key) {
+    const entry = DCFParser.LABEL_MAP.find((e) => e.key === key);
+    if (entry) return entry.name;
+    if (DERIVED_NAMES[key]) return DERIVED_NAMES[key];
+    const growth = /^(\w+)Growth$/.exec(key);
+    return growth && GROWTH_KEYS.includes(growth[1]) ? metricName(growth[1]) + ' Growth' : key;
+  }
+
+  // LABEL_MAP order first, then whatever else the model carries
+  function orderKeys(keys) {
+    const rank = new Map(DCFParser.LABEL_MAP.map((e, i) => [e.key, i]));
+    return keys.slice().sort((a, b) => (rank.has(a) ? rank.get(a) : Infinity) - (rank.has(b) ? rank.get(b) : Infinity));
+  }
+
+  // Growth in percent units, with the same derived-source shape the parser uses
+  function growthSeries(model) {
+    const series = {};
+    const sources = {};
+    for (const key of GROWTH_KEYS) {
+      const vals = model.series[key];
+      if (!vals) continue;
+      const growth = vals.map((v, i) => (i > 0 && v != null && vals[i - 1] ? ((v - vals[i - 1]) / Math.abs(vals[i - 1])) * 100 : null));
+      if (!growth.some((g) => g != null)) continue;
+      const formula = `${metricName(key)} ÷ Prior ${metricName(key)} − 1`;
+      series[key + 'Growth'] = growth;
+      sources[key + 'Growth'] = growth.map((g) => (g != null ? { derived: true, formula } : null));
+    }
+    return { series, sources };
+  }
+
+  // The model's series plus growth, each with its per-period sources
+  function allSeries(model) {
+    const growth = growthSeries(model);
+    const keys = orderKeys(Object.keys(model.series)).concat(Object.keys(growth.series));
+    return keys.map((key) => ({
+      key,
+      values: model.series[key] || growth.series[key],
+      sources: (model.series[key] ? model.sources.series[key] : growth.sources[key]) || [],
+    }));
+  }
+
+  const { periodLabels } = DCFFormat;
+  const describeSource = (src) => DCFFormat.describeSource(src) || '';
+
+  // ────────────────────────────────────────────────
+  //  CSV
+  // ────────────────────────────────────────────────
+
+  // One row per value; scalars have no period
+  function toRecords(model) {
+    const labels = periodLabels(model);
+    const records = [];
+    for (const { key, values, sources } of allSeries(model)) {
+      values.forEach((value, i) => {
+        if (value != null) records.push({ period: labels[i], metric: key, value, source: sources[i] || null });
+      });
+    }
+    for (const key of orderKeys(Object.keys(model.scalars))) {
+      const value = model.scalars[key];
+      if (value != null) records.push({ period: '', metric: key, value, source: model.sources.scalars[key] || null });
+    }
+    return records;
+  }
+
+  function csvField(v) {
+    const s = String(v);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  function toCSV(model) {
+    const lines = [['period', 'metric', 'value', 'source']];
+    for (const r of toRecords(model)) lines.push([r.period, r.metric, r.value, describeSource(r.source)]);
+    return lines.map((line) => line.map(csvField).join(',')).join('\n') + '\n';
+  }
+
+  // ────────────────────────────────────────────────
+  //  JSON
+  // ────────────────────────────────────────────────
+
+  // Values are numbers in the model's units (rates and margins in percent, 9 = 9%);
+  // `derived` lists the keys computed rather than read from the workbook
+  function toJSON(model, options = {}) {
+    const series = {};
+    const sources = { series: {}, scalars: {} };
+    const derived = [];
+    for (const { key, values, sources: srcs } of allSeries(model)) {
+      series[key] = values;
+      sources.series[key] = srcs;
+      if (srcs.some((s) => s && s.derived)) derived.push(key);
+    }
+    const scalars = {};
+    for (const key of orderKeys(Object.keys(model.scalars))) {
+      scalars[key] = model.scalars[key];
+      sources.scalars[key] = model.sources.scalars[key] || null;
+      if (sources.scalars[key] && sources.scalars[key].derived) derived.push(key);
+    }
+    return {
+      schema: SCHEMA,
+      schemaVersion: SCHEMA_VERSION,
+      file: options.filename || null,
+      exportedAt: new Date().toISOString(),
+      units: model.units || null,
+      periods: model.periods || model.years.map((y) => ({ label: String(y), fiscalYear: y })),
+      metrics: Object.fromEntries([...Object.keys(series), ...Object.keys(scalars)].map((key) => [key, metricName(key)])),
+      derived,
+      series,
+      scalars,
+      sources,
+    };
+  }
+
+  // ────────────────────────────────────────────────
+  //  XLSX
+  // ────────────────────────────────────────────────
+
+  // A row's source column: the formula for derived rows, else the sheet and label read
+  function rowSource(sources) {
+    const first = sources.find(Boolean);
+    if (!first) return '';
+    return first.derived ? first.formula : `${first.sheet} · ${first.label}`;
+  }
+
+  // Sheets: Series (metrics down, periods across), Scalars, Periods and Info
+  function toWorkbook(model, options = {}) {
+    const labels = periodLabels(model);
+    const wb = XLSX.utils.book_new();
+
+    const seriesRows = [['Metric', 'Key', ...labels, 'Derived', 'Source']];
+    for (const { key, values, sources } of allSeries(model)) {
+      const derived = sources.some((s) => s && s.derived);
+      seriesRows.push([metricName(key), key, ...values.map((v) => (v == null ? null : v)), derived ? 'Yes' : '', rowSource(sources)]);
+    }
+    const seriesSheet = XLSX.utils.aoa_to_sheet(seriesRows);
+    seriesSheet['!cols'] = [{ wch: 26 }, { wch: 20 }, ...labels.map(() => ({ wch: 12 })), { wch: 8 }, { wch: 40 }];
+    XLSX.utils.book_append_sheet(wb, seriesSheet, 'Series');
+
+    const scalarRows = [['Metric', 'Key', 'Value', 'Derived', 'Source']];
+    for (const key of orderKeys(Object.keys(model.scalars))) {
+      const src = model.sources.scalars[key];
+      scalarRows.push([metricName(key), key, model.scalars[key], src && src.derived ? 'Yes' : '', describeSource(src)]);
+    }
+    const scalarSheet = XLSX.utils.aoa_to_sheet(scalarRows);
+    scalarSheet['!cols'] = [{ wch: 26 }, { wch: 20 }, { wch: 14 }, { wch: 8 }, { wch: 50 }];
+    XLSX.utils.book_append_sheet(wb, scalarSheet, 'Scalars');
+
+    const periodRows = [['Period', 'Key', 'Fiscal Year', 'Frequency', 'Type', 'End']];
+    (model.periods || model.years.map((y) => ({ label: String(y), fiscalYear: y }))).forEach((p) => {
+      periodRows.push([p.label, p.key || '', p.fiscalYear, p.frequency || '', p.type || '', p.end || '']);
+    });
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(periodRows), 'Periods');
+
+    const units = model.units || {};
+    const info = [
+      ['Schema', SCHEMA],
+      ['Schema Version', SCHEMA_VERSION],
+      ['File', options.filename || ''],
+      ['Currency', units.currency || ''],
+      ['Scale', units.scaleName || ''],
+      ['Rates', 'Percent units (9 = 9%)'],
+    ];
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(info), 'Info');
+    return wb;
+  }
+
+  // The workbook as bytes: an ArrayBuffer in the browser, a Buffer under Node
+  function toXLSX(model, options = {}) {
+    const type = typeof module === 'object' && module.exports ? 'buffer' : 'array';
+    return XLSX.write(toWorkbook(model, options), { type, bookType: 'xlsx' });
+  }
+
+  return {
+    SCHEMA,
+    SCHEMA_VERSION,
+    toRecords,
+    toCSV,
+    toJSON,
+    toWorkbook,
+    toXLSX,
+  };
+});
@@ -0,0 +1,1520 @@
+/* ============================================================
+   DCF Model Excel Visualizer — parser.js
+   Shared DCF extraction: runs in the browser and under Node
+   ============================================================ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('xlsx'), require('./formulas'));
+  } else {
+    root.DCFParser = factory(root.XLSX, root.DCFFormulas);
+  }
+})(typeof self !== 'undefined' ? self : this, function (XLSX, DCFFormulas) {
+  'use strict';
+
+  // ────────────────────────────────────────────────
+  //  DCF PARSER
+  // ────────────────────────────────────────────────
+
+  // Label → canonical key mapping (fuzzy); `name` is how the key is shown to users.
+  // `exact` labels only match on their own: "Cash" but not "Cash flow from ops".
+  // `exclude` words keep an entry off labels that mean something else ("Unlevered
+  // beta" is not the equity beta), and rows matched by a `negated` pattern carry
+  // the key's opposite sign ("Net cash / (debt)" is positive for net cash).
+  const LABEL_MAP = [
+    { key: 'revenue',           name: 'Revenue',               patterns: ['revenue', 'total revenue', 'sales', 'total sales', 'net revenue', 'net sales'] },
+    { key: 'cogs',              name: 'COGS',                  patterns: ['cogs', 'cost of goods', 'cost of revenue', 'cost of sales', 'cos'] },
+    { key: 'grossProfit',       name: 'Gross Profit',          patterns: ['gross profit', 'gross income'] },
+    { key: 'exitMultiple',      name: 'Exit Multiple',         patterns: ['exit multiple', 'terminal multiple', 'exit ev ebitda', 'ev ebitda exit multiple', 'ebitda exit multiple', 'terminal ebitda multiple', 'exit ebitda multiple'] },
+    { key: 'ebitda',            name: 'EBITDA',                patterns: ['ebitda', 'adj ebitda', 'adjusted ebitda'] },
+    { key: 'da',                name: 'D&A',                   patterns: ['depreciation amortization', 'depreciation and amortization', 'd a', 'depreciation', 'amortization', 'dep amort'] },
+    { key: 'ebit',              name: 'EBIT',                  patterns: ['ebit', 'operating income', 'operating profit', 'op income'] },
+    { key: 'pretaxIncome',      name: 'Pre-Tax Income',        patterns: ['pre tax income', 'pretax income', 'income before taxes', 'income before tax', 'income before income taxes', 'earnings before taxes', 'earnings before tax', 'profit before tax', 'profit before taxes'], exact: ['ebt', 'pbt'] },
+    { key: 'netIncome',         name: 'Net Income',            patterns: ['net income', 'net profit', 'net earnings', 'profit after tax'] },
+    { key: 'capex',             name: 'Capex',                 patterns: ['capex', 'capital expenditure', 'capital expenditures', 'pp e purchases', 'purchases of ppe', 'purchases of pp e'] },
+    { key: 'fcf',               name: 'Free Cash Flow',        patterns: ['free cash flow', 'fcf', 'unlevered free cash flow', 'ufcf', 'levered free cash flow', 'fcff'] },
+    { key: 'riskFreeRate',      name: 'Risk-Free Rate',        patterns: ['risk free rate', 'risk free', 'treasury yield', '10 year treasury', '10y treasury'], exact: ['rf'] },
+    { key: 'beta',              name: 'Beta',                  patterns: ['levered beta', 'relevered beta', 'equity beta', 'beta'], exclude: ['unlevered', 'asset'] },
+    { key: 'equityRiskPremium', name: 'Equity Risk Premium',   patterns: ['equity risk premium', 'market risk premium', 'equity market risk premium'], exact: ['erp', 'mrp'] },
+    { key: 'sizePremium',       name: 'Size Premium',          patterns: ['size premium', 'small cap premium', 'small company premium', 'size risk premium'] },
+    { key: 'costOfDebt',        name: 'Pre-Tax Cost of Debt',  patterns: ['pre tax cost of debt', 'cost of debt', 'yield on debt', 'borrowing rate'], exact: ['kd'], exclude: ['after tax', 'post tax'] },
+    { key: 'taxRate',           name: 'Tax Rate',              patterns: ['tax rate', 'effective tax rate', 'marginal tax rate', 'corporate tax rate'] },
+    { key: 'debtToEquity',      name: 'Target Debt / Equity',  patterns: ['target debt equity', 'debt equity', 'debt to equity', 'target debt to equity', 'debt equity ratio', 'target d e', 'd e ratio'], exact: ['d e'] },
+    { key: 'debtWeight',        name: 'Debt / Capital',        patterns: ['debt to capital', 'debt total capital', 'debt debt equity', 'weight of debt', 'debt weight', 'target debt to capital'] },
+    { key: 'wacc',              name: 'WACC',                  patterns: ['wacc', 'discount rate', 'weighted average cost of capital', 'cost of capital'] },
+    { key: 'terminalGrowth',    name: 'Terminal Growth',       patterns: ['terminal growth', 'terminal growth rate', 'perpetuity growth', 'long term growth', 'ltg', 'perpetual growth rate'] },
+    { key: 'terminalValue',     name: 'Terminal Value',        patterns: ['terminal value', 'tv', 'continuing value'] },
+    { key: 'enterpriseValue',   name: 'Enterprise Value',      patterns: ['enterprise value', 'ev', 'total enterprise value', 'firm value'] },
+    { key: 'valuePerShare',     name: 'Value / Share',         patterns: ['equity value per share', 'value per share', 'implied share price', 'share price', 'price per share', 'target price', 'fair value per share'] },
+    { key: 'equityValue',       name: 'Equity Value',          patterns: ['equity value', 'implied equity value', 'total equity value'] },
+    { key: 'preferred',         name: 'Preferred Stock',       patterns: ['preferred stock', 'preferred equity', 'preferred shares', 'preference shares'] },
+    { key: 'minorityInterest',  name: 'Minority Interest',     patterns: ['minority interest', 'minority interests', 'non controlling interest', 'non controlling interests', 'noncontrolling interest', 'noncontrolling interests'], exact: ['nci'] },
+    { key: 'sharesOutstanding', name: 'Shares Outstanding',     patterns: ['shares outstanding', 'diluted shares', 'shares', 'total shares'] },
+    { key: 'netDebt',           name: 'Net Debt',              patterns: ['net debt', 'net debt cash', 'net cash debt'], negated: ['net cash debt'] },
+    { key: 'debt',              name: 'Total Debt',            patterns: ['total debt', 'gross debt', 'total borrowings', 'borrowings', 'debt outstanding'], exact: ['debt'] },
+    { key: 'cash',              name: 'Cash',                  patterns: ['cash and cash equivalents', 'cash and equivalents', 'cash equivalents', 'cash balance', 'total cash'], exact: ['cash'] },
+    { key: 'investments',       name: 'Investments',           patterns: ['equity investments', 'investments in associates', 'investments in affiliates', 'long term investments', 'non operating assets'], exact: ['investments'] },
+    { key: 'pvFCF',             name: 'PV of FCF',             patterns: ['pv of fcf', 'pv of free cash flow', 'present value of fcf', 'present value of free cash flows', 'npv of fcf', 'pv fcf'] },
+    { key: 'pvTerminal',        name: 'PV of Terminal Value',  patterns: ['pv of terminal', 'pv of tv', 'present value of terminal', 'pv terminal value'] },
+    { key: 'tax',               name: 'Taxes',                 patterns: ['taxes', 'income tax', 'tax expense', 'provision for taxes', 'tax'] },
+    { key: 'interestExpense',   name: 'Interest Expense',      patterns: ['interest expense', 'interest'] },
+    { key: 'nwc',               name: 'Change in NWC',         patterns: ['change in nwc', 'changes in nwc', 'chg in nwc', 'change in net working capital', 'change in working capital', 'changes in working capital', 'increase decrease in nwc', 'increase decrease in working capital', 'increase in nwc', 'increase in working capital'] },
+    { key: 'nwcBalance',        name: 'Net Working Capital',   patterns: ['net working capital', 'nwc', 'working capital'] },
+    { key: 'grossMargin',       name: 'Gross Margin',          patterns: ['gross margin'] },
+    { key: 'ebitdaMargin',      name: 'EBITDA Margin',         patterns: ['ebitda margin'] },
+    { key: 'netMargin',         name: 'Net Margin',            patterns: ['net margin', 'net income margin', 'profit margin'] },
+  ];
+
+  function normalize(str) {
+    return String(str).toLowerCase().replace(/[^a-z0-9 ]/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  // `mappings` holds a user's own { normalized label → key } assignments, which
+  // win over the built-in patterns
+  function matchLabel(raw, mappings) {
+    const match = matchLabelDetail(raw, mappings);
+    return match ? match.key : null;
+  }
+
+  // How one LABEL_MAP pattern matches a normalized label, or null: 'exact',
+  // 'word' (whole words at either end), 'contains' (whole words inside) or
+  // 'partial' (inside another word: "tv" in "tvs")
+  function patternMatch(n, p) {
+    if (n === p) return 'exact';
+    if (n.startsWith(p + ' ') || n.endsWith(' ' + p)) return 'word';
+    if (n.includes(p) && (n.length - p.length) < 10) {
+      return (' ' + n + ' ').includes(' ' + p + ' ') ? 'contains' : 'partial';
+    }
+    return null;
+  }
+
+  // How strongly each kind of patternMatch ties a label to a key
+  const MATCH_RANK = { exact: 4, word: 3, contains: 2, partial: 1 };
+
+  // The stronger match, then the longer pattern: "debt debt equity" over "debt equity"
+  const betterMatch = (a, b) => MATCH_RANK[a.via] > MATCH_RANK[b.via] ||
+    (MATCH_RANK[a.via] === MATCH_RANK[b.via] && a.pattern.length > b.pattern.length);
+
+  // matchLabel with the evidence: { key, pattern, via, alternatives }, where
+  // alternatives are other keys whose patterns also fit the label. The best
+  // match wins (see betterMatch); LABEL_MAP order only breaks ties.
+  function matchLabelDetail(raw, mappings) {
+    const full = normalize(raw);
+    if (mappings && mappings[full]) return { key: mappings[full], pattern: full, via: 'mapping', alternatives: [] };
+    // Bridge rows read "Less: Debt", "Plus: Cash"
+    const n = full.replace(/^(less|plus|add|minus|deduct)\s+/, '');
+    const words = ' ' + n + ' ';
+    const hits = [];
+    for (const entry of LABEL_MAP) {
+      if (entry.exclude && entry.exclude.some((w) => words.includes(' ' + w + ' '))) continue;
+      let best = null;
+      for (const p of (entry.exact || []).concat(entry.patterns)) {
+        const via = entry.exact && entry.exact.includes(p) ? (n === p ? 'exact' : null) : patternMatch(n, p);
+        if (via && (!best || betterMatch({ via, pattern: p }, best))) best = { key: entry.key, pattern: p, via };
+      }
+      if (best) hits.push(best);
+    }
+    if (!hits.length) return null;
+    const match = hits.reduce((a, b) => (betterMatch(b, a) ? b : a));
+    // An exact hit is never ambiguous
+    const alternatives = match.via === 'exact' ? [] : hits.filter((h) => h.key !== match.key).map((h) => h.key);
+    return { ...match, alternatives };
+  }
+
+  // Without a period header, labels are looked for in this many leading columns
+  const MAX_LABEL_COL = 6;
+
+  function isYearLike(v) {
+    const n = Number(v);
+    return Number.isInteger(n) && n >= 2000 && n <= 2050;
+  }
+
+  // ────────────────────────────────────────────────
+  //  PERIODS
+  // ────────────────────────────────────────────────
+
+  // A period header becomes { label, key, fiscalYear, frequency, index, type, end }:
+  //   frequency  'annual' | 'half' | 'quarter', index = half/quarter number
+  //   type       'actual' | 'estimate' (historical vs projected)
+  //   end        period-end date (ISO), assuming a December fiscal year end
+
+  const PERIOD_MARKERS = {
+    A: 'actual', ACT: 'actual', ACTUAL: 'actual', ACTUALS: 'actual', HIST: 'actual', HISTORICAL: 'actual',
+    E: 'estimate', EST: 'estimate', ESTIMATE: 'estimate', F: 'estimate', FCST: 'estimate', FORECAST: 'estimate',
+    P: 'estimate', PROJ: 'estimate', PROJECTED: 'estimate', PROJECTION: 'estimate', B: 'estimate', BUDGET: 'estimate',
+  };
+
+  const YEAR = '(20\\d{2}|\\d{2})';
+  const FY = '(?:FY|CY)?';
+  const SEP = '[ \\-/]?';
+  const MARKER = '(?: ?(' + Object.keys(PERIOD_MARKERS).join('|') + '))?';
+
+  // [regex, frequency, capture index of the year, capture index of the sub-period]
+  const PERIOD_PATTERNS = [
+    [new RegExp(`^Q([1-4])${SEP}${FY}${SEP}${YEAR}${MARKER}$`), 'quarter', 2, 1],
+    [new RegExp(`^([1-4])Q${SEP}${FY}${SEP}${YEAR}${MARKER}$`), 'quarter', 2, 1],
+    [new RegExp(`^${FY}${SEP}(20\\d{2})${SEP}Q([1-4])${MARKER}$`), 'quarter', 1, 2],
+    [new RegExp(`^H([12])${SEP}${FY}${SEP}${YEAR}${MARKER}$`), 'half', 2, 1],
+    [new RegExp(`^([12])H${SEP}${FY}${SEP}${YEAR}${MARKER}$`), 'half', 2, 1],
+    [new RegExp(`^${FY}${SEP}(20\\d{2})${SEP}H([12])${MARKER}$`), 'half', 1, 2],
+    [new RegExp(`^(?:FY|CY)${SEP}${YEAR}${MARKER}$`), 'annual', 1, null],
+    [new RegExp(`^(20\\d{2})${MARKER}$`), 'annual', 1, null],
+    [new RegExp(`^${YEAR}(A|E|F|P|B)$`), 'annual', 1, null],
+  ];
+
+  const PERIOD_MONTHS = { annual: 12, half: 6, quarter: 3 };
+
+  function fullYear(y) {
+    const n = Number(y);
+    return n < 100 ? 2000 + n : n;
+  }
+
+  function makePeriod(label, fiscalYear, frequency, index, type) {
+    const endMonth = index ? index * PERIOD_MONTHS[frequency] : 12;
+    const endDay = new Date(Date.UTC(fiscalYear, endMonth, 0)).getUTCDate();
+    return {
+      label,
+      key: 'FY' + fiscalYear + (frequency === 'quarter' ? '-Q' + index : frequency === 'half' ? '-H' + index : ''),
+      fiscalYear,
+      frequency,
+      index: index || null,
+      type: type || null,
+      end: `${fiscalYear}-${String(endMonth).padStart(2, '0')}-${String(endDay).padStart(2, '0')}`,
+    };
+  }
+
+  // Parse a header cell into a period. `loose` also accepts any text containing
+  // a 20xx year ("Year ending Dec 2024") as an annual period.
+  function parsePeriod(v, loose) {
+    if (typeof v === 'number') return isYearLike(v) ? makePeriod(String(v), v, 'annual', null, null) : null;
+    const label = String(v == null ? '' : v).trim();
+    if (!label) return null;
+
+    const t = label.toUpperCase().replace(/['’`]/g, '').replace(/\s+/g, ' ');
+    for (const [re, frequency, yearAt, indexAt] of PERIOD_PATTERNS) {
+      const m = t.match(re);
+      if (!m) continue;
+      const fiscalYear = fullYear(m[yearAt]);
+      if (!isYearLike(fiscalYear)) continue;
+      const marker = m[m.length - 1];
+      return makePeriod(label, fiscalYear, frequency, indexAt ? Number(m[indexAt]) : null, PERIOD_MARKERS[marker]);
+    }
+
+    if (loose) {
+      const m = t.match(/(20\d{2})/);
+      if (m) {
+        const word = t.split(/[^A-Z]+/).find((w) => w.length > 1 && PERIOD_MARKERS[w]);
+        return makePeriod(label, Number(m[1]), 'annual', null, PERIOD_MARKERS[word]);
+      }
+    }
+    return null;
+  }
+
+  // Ordering: by period end, and a fiscal year after its quarters / halves
+  function comparePeriods(a, b) {
+    return a.end.localeCompare(b.end) ||
+      PERIOD_MONTHS[a.frequency] - PERIOD_MONTHS[b.frequency];
+  }
+
+  // Fill in actual vs estimate for periods the header did not mark. An "A"/"E"
+  // marker row right above or below the header wins; otherwise unmarked periods
+  // before the first estimate are actuals. With no markers at all, periods that
+  // ended before today are treated as actuals (flagged typeInferred).
+  function resolvePeriodTypes(rows, headerRow, cols) {
+    for (const r of [headerRow + 1, headerRow - 1]) {
+      const row = rows[r];
+      if (!row) continue;
+      const marks = cols.map((pc) => PERIOD_MARKERS[String(row[pc.col] == null ? '' : row[pc.col]).trim().toUpperCase()]);
+      if (marks.filter(Boolean).length < 2) continue;
+      cols.forEach((pc, i) => { if (marks[i] && !pc.period.type) pc.period.type = marks[i]; });
+      break;
+    }
+
+    const periods = cols.map((pc) => pc.period);
+    if (periods.some((p) => p.type)) {
+      const firstEstimate = periods.findIndex((p) => p.type === 'estimate');
+      periods.forEach((p, i) => {
+        if (!p.type) p.type = firstEstimate === -1 || i < firstEstimate ? 'actual' : 'estimate';
+      });
+      return;
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    for (const p of periods) {
+      p.type = p.end < today ? 'actual' : 'estimate';
+      p.typeInferred = true;
+    }
+  }
+
+  // ────────────────────────────────────────────────
+  //  NUMBERS
+  // ────────────────────────────────────────────────
+
+  // Models exported from other tools (or typed by hand) often hold numbers as
+  // text: "(1,234)", "12.5%", "$4.2B", "—". coerceNumber turns a raw cell value
+  // into { value, percent, magnitude } or null when it is not a number.
+
+  const PLACEHOLDERS = new Set(['', '-', '--', '–', '—', 'n/a', 'na', 'n.a.', 'nm', 'n.m.', 'nmf', 'none', 'nil', 'tbd', '#n/a', '#div/0!', '#value!', '#ref!', '#num!']);
+
+  const CURRENCY_PREFIX = /^(?:us\$|[ca]\$|[$€£¥₹]|(?:usd|eur|gbp|jpy|cny|inr|chf|cad|aud)\b)/;
+  const CURRENCY_SUFFIX = /(?:[$€£¥₹]|\b(?:usd|eur|gbp|jpy|cny|inr|chf|cad|aud))$/;
+
+  const MAGNITUDE_SUFFIXES = { k: 1e3, m: 1e6, mm: 1e6, mn: 1e6, b: 1e9, bn: 1e9, t: 1e12, tn: 1e12 };
+
+  // Rate keys are held in percent units (9 = 9%). The value is the magnitude
+  // below which an unformatted, unlabelled number is taken as a decimal
+  // fraction: 0.09 WACC is 9%, but 0.5 terminal growth may well mean 0.5%.
+  const RATE_KEYS = {
+    wacc: 1, terminalGrowth: 0.1, grossMargin: 1, ebitdaMargin: 1, netMargin: 1,
+    riskFreeRate: 0.25, equityRiskPremium: 0.25, sizePremium: 0.2, costOfDebt: 0.3, taxRate: 1, debtWeight: 1,
+  };
+
+  // Keys that are neither rates nor money: never scaled, "%" text read as a fraction
+  const UNSCALED_KEYS = new Set(['exitMultiple', 'valuePerShare', 'beta', 'debtToEquity']);
+
+  function coerceNumber(v) {
+    if (typeof v === 'number') return isFinite(v) ? { value: v, percent: false, magnitude: false } : null;
+    if (typeof v !== 'string') return null;
+
+    let s = v.trim().toLowerCase();
+    if (PLACEHOLDERS.has(s)) return null;
+
+    // Peel signs, accounting parentheses "(1,234)", trailing minus "1,234-"
+    // and currency affixes in whatever order they were written: "-$1,234", "($1.2m)"
+    let negative = false;
+    for (let prev = null; prev !== s;) {
+      prev = s;
+      if (/^\(.*\)$/.test(s)) { negative = !negative; s = s.slice(1, -1); }
+      else if (/^[-−–]/.test(s)) { negative = !negative; s = s.slice(1); }
+      else if (/[-−–]$/.test(s)) { negative = !negative; s = s.slice(0, -1); }
+      s = s.replace(CURRENCY_PREFIX, '').replace(CURRENCY_SUFFIX, '').trim();
+    }
+
+    let percent = false;
+    let multiplier = 1;
+    if (/%$/.test(s)) { percent = true; s = s.slice(0, -1).trim(); }
+    else if (/x$/.test(s)) { s = s.slice(0, -1).trim(); }  // multiples: "8.5x"
+    else {
+      const m = s.match(/^(.*?\d)\s?(k|mm|mn|m|bn|b|tn|t)$/);
+      if (m) { s = m[1]; multiplier = MAGNITUDE_SUFFIXES[m[2]]; }
+    }
+
+    // Thousands separators: "1,234,567.8", "1.234.567,8", "1 234 567" / "1'234".
+    // A lone "1.234" stays a decimal.
+    if (/^\d{1,3}(,\d{3})+(\.\d+)?$/.test(s)) s = s.replace(/,/g, '');
+    else if (/^\d{1,3}((\.\d{3}){2,}(,\d+)?|\.\d{3},\d+)$/.test(s)) s = s.replace(/\./g, '').replace(',', '.');
+    else if (/^\d{1,3}([ '\u00a0\u202f]\d{3})+([.,]\d+)?$/.test(s)) s = s.replace(/[ '\u00a0\u202f]/g, '').replace(',', '.');
+    else if (/^\d+,\d{1,2}$/.test(s)) s = s.replace(',', '.');  // decimal comma: "12,5"
+
+    if (!/^(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/.test(s)) return null;
+    const n = Number(s) * multiplier;
+    return { value: negative ? -n : n, percent, magnitude: multiplier !== 1 };
+  }
+
+  // A rate in percent units, with how its basis was decided: "9%" typed as
+  // text, a %-formatted cell (stored as 0.09), a "(%)" label, or — only when
+  // none of those say — the magnitude threshold in RATE_KEYS
+  function toPercentUnits(key, num, label, format) {
+    if (num.percent) return { value: num.value, basis: 'text' };
+    if (format && /%/.test(format.replace(/"[^"]*"|\\./g, ''))) return { value: num.value * 100, basis: 'format' };
+    if (/%|\b(percent|pct)\b/i.test(label)) return { value: num.value, basis: 'label' };
+    const decimal = Math.abs(num.value) < RATE_KEYS[key];
+    return { value: decimal ? num.value * 100 : num.value, basis: 'magnitude' };
+  }
+
+  // The model value of one cell under a given row key: rates in percent units,
+  // money scaled to true magnitude unless the text carried its own ("$4.2B")
+  function modelValue(key, num, label, format, scale) {
+    if (key in RATE_KEYS) return toPercentUnits(key, num, label, format);
+    if (num.percent) return { value: num.value / 100 };
+    return { value: num.magnitude ? num.value : num.value * scale, scaled: !num.magnitude && scale !== 1 };
+  }
+
+  // ────────────────────────────────────────────────
+  //  UNITS
+  // ────────────────────────────────────────────────
+
+  // Models are often stated "($ in millions)"; values are normalized to true
+  // magnitudes using the scale hint, and the currency is reported for display.
+
+  const SCALE_HINTS = [
+    { scale: 1e3, name: 'thousands', patterns: [/\bthousands?\b/, /\b(?:000s|000's)\b/, /(?:^|[\s(\[])(?:[$€£¥₹]\s?)?'?000'?s?(?=$|[\s)\],;])/, /[$€£¥₹]\s?k\b/, /\(\s?k\s?\)/] },
+    { scale: 1e6, name: 'millions',  patterns: [/\bmillions?\b/, /\b(?:mm|mn|mln)\b/, /[$€£¥₹]\s?m\b/, /\(\s?m\s?\)/] },
+    { scale: 1e9, name: 'billions',  patterns: [/\bbillions?\b/, /\b(?:bn|bln)\b/, /[$€£¥₹]\s?b\b/, /\(\s?b\s?\)/] },
+  ];
+
+  const CURRENCIES = [
+    { code: 'USD', symbol: '$',   patterns: [/\busd\b/, /\bus\$/, /\$/] },
+    { code: 'EUR', symbol: '€',   patterns: [/\beur\b/, /€/, /\beuros?\b/] },
+    { code: 'GBP', symbol: '£',   patterns: [/\bgbp\b/, /£/] },
+    { code: 'JPY', symbol: '¥',   patterns: [/\bjpy\b/, /\byen\b/] },
+    { code: 'CNY', symbol: '¥',   patterns: [/\bcny\b/, /\brmb\b/] },
+    { code: 'INR', symbol: '₹',   patterns: [/\binr\b/, /₹/] },
+    { code: 'CHF', symbol: 'CHF ', patterns: [/\bchf\b/] },
+    { code: 'CAD', symbol: 'C$',  patterns: [/\bcad\b/, /\bc\$/] },
+    { code: 'AUD', symbol: 'A$',  patterns: [/\baud\b/, /\ba\$/] },
+  ];
+
+  const DEFAULT_UNITS = { scale: 1, scaleName: null, currency: null, symbol: '$', sharesRaw: false, source: null };
+
+  function parseScaleHint(text) {
+    const t = String(text).toLowerCase();
+    for (const hint of SCALE_HINTS) {
+      if (hint.patterns.some((re) => re.test(t))) return hint;
+    }
+    return null;
+  }
+
+  function parseCurrency(text) {
+    const t = String(text).toLowerCase();
+    // ¥ alone is ambiguous between JPY and CNY; default to JPY
+    if (/¥/.test(t) && !/\b(cny|rmb)\b/.test(t)) return CURRENCIES.find((c) => c.code === 'JPY');
+    return CURRENCIES.find((c) => c.patterns.some((re) => re.test(t))) || null;
+  }
+
+  // Sheet-level units: the first scale / currency hint in the title area (first
+  // 10 rows), in a note such as "All figures in thousands", or in a cell comment
+  function detectUnits(rows, sheet, sheetName) {
+    const units = { ...DEFAULT_UNITS };
+    const candidates = [];
+
+    rows.forEach((row, r) => {
+      (row || []).forEach((v, c) => {
+        if (typeof v !== 'string' || v.length > 120) return;
+        if (r < 10 || /\b(figures|amounts|values|note|unless|stated|expressed)\b/i.test(v)) {
+          candidates.push({ r, c, text: v });
+        }
+      });
+    });
+    for (const addr of Object.keys(sheet || {})) {
+      if (addr[0] === '!' || !sheet[addr].c) continue;
+      const at = XLSX.utils.decode_cell(addr);
+      for (const note of sheet[addr].c) {
+        if (note && note.t) candidates.push({ r: at.r, c: at.c, text: note.t });
+      }
+    }
+
+    for (const cand of candidates) {
+      const hint = units.scaleName ? null : parseScaleHint(cand.text);
+      if (hint) {
+        units.scale = hint.scale;
+        units.scaleName = hint.name;
+        // "except share and per share data" leaves share counts unscaled;
+        // "except per share data" only exempts the prices
+        units.sharesRaw = /\bexcept\b.*\bshares?\b/i.test(cand.text.replace(/\bper[\s-]share\b/gi, ''));
+        units.source = cellSource(sheetName, cand.r, cand.c, cand.text);
+      }
+      const currency = units.currency ? null : parseCurrency(cand.text);
+      if (currency) {
+        units.currency = currency.code;
+        units.symbol = currency.symbol;
+      }
+      if (units.scaleName && units.currency) break;
+    }
+    return units;
+  }
+
+  // More shares than any company has issued: a count this large is already raw
+  const MAX_SHARES = 1e11;
+
+  // Multiplier for one extracted row: a hint in the row label ("Revenue ($000s)")
+  // wins over the sheet's; rates, multiples and per-share prices are never scaled.
+  // Share counts follow the sheet's scale unless the label, the hint or the
+  // size of the count among the row's `cells` says they are raw.
+  function rowScale(key, label, units, cells) {
+    if (key in RATE_KEYS || UNSCALED_KEYS.has(key)) return 1;
+    const own = parseScaleHint(label);
+    if (own) return own.scale;
+    if (key === 'sharesOutstanding') {
+      const largest = Math.max(0, ...cells.map((v) => {
+        const num = coerceNumber(v);
+        return num ? Math.abs(num.value) : 0;
+      }));
+      const raw = units.sharesRaw || /\b(actual|absolute|units?)\b|\(#\)/i.test(label) || largest * units.scale > MAX_SHARES;
+      return raw ? 1 : units.scale;
+    }
+    return units.scale;
+  }
+
+  // Rows of a sheet anchored at A1, so row/column indexes are real cell addresses
+  function sheetRows(sheet) {
+    if (!sheet || !sheet['!ref']) return [];
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+    range.s = { r: 0, c: 0 };
+    return XLSX.utils.sheet_to_json(sheet, { header: 1, range });
+  }
+
+  // Provenance record for a value read straight from the workbook
+  function cellSource(sheetName, r, c, label) {
+    return { sheet: sheetName, cell: XLSX.utils.encode_cell({ r, c }), label: String(label) };
+  }
+
+  // Provenance record for a value computed by deriveMetrics
+  function derivedSource(formula) {
+    return { derived: true, formula };
+  }
+
+  function pickBestSheet(workbook, skip = new Set()) {
+    const preferred = ['dcf', 'model', 'valuation', 'output', 'summary', 'forecast'];
+    const names = workbook.SheetNames.filter((n) => !skip.has(n));
+    for (const pref of preferred) {
+      const match = names.find((n) => normalize(n).includes(pref));
+      if (match) return match;
+    }
+    // Fallback: sheet with most rows
+    let best = names[0], bestRows = 0;
+    for (const name of names) {
+      const sheet = workbook.Sheets[name];
+      const json = sheetRows(sheet);
+      if (json.length > bestRows) { bestRows = json.length; best = name; }
+    }
+    return best;
+  }
+
+  // Score: count how many keys have data
+  function scoreResult(result) {
+    return Object.keys(result.series).length + Object.keys(result.scalars).length * 2;
+  }
+
+  function parseDCF(workbook, options = {}) {
+    const { model, diagnostics } = extractModel(workbook, options);
+    if (model) model.diagnostics = diagnostics;
+    return model;
+  }
+
+  // The diagnostics report on its own — also produced when parseDCF gives up,
+  // which is when it is most needed
+  function diagnoseDCF(workbook, options = {}) {
+    return extractModel(workbook, options).diagnostics;
+  }
+
+  // Minimum scoreResult for a merged model to count as a DCF
+  const MIN_SCORE = 4;
+
+  function extractModel(workbook, options) {
+    // Formulas saved without cached results would otherwise read as blanks
+    const formulas = DCFFormulas.evaluateWorkbook(workbook);
+
+    // A workbook with scenario sheets or blocks is read as its base case (the
+    // other cases left out); without a base, the unlabelled rest, else the first
+    const found = detectScenarios(workbook);
+    let primary = found.find((sc) => sc.key === 'base') || null;
+    let run = extractView(workbook, options, scenarioView(found, primary));
+    if (!run.accepted && !primary && found.length) {
+      primary = found[0];
+      run = extractView(workbook, options, scenarioView(found, primary));
+    }
+
+    const { merged, accepted, scanned } = run;
+    if (accepted) {
+      merged.formulas = formulas;
+      const caseSwitch = findCaseSwitch(workbook);
+      if (found.length || caseSwitch) merged.scenarios = workbookScenarios(workbook, options, found, primary, caseSwitch);
+    }
+    return {
+      model: accepted ? merged : null,
+      diagnostics: buildDiagnostics(scanned, merged, accepted, formulas),
+    };
+  }
+
+  // Extract and merge the sheets of a view ({ skipSheets, skipRows }, see
+  // scenarioView) of the workbook: { merged, accepted, scanned }
+  function extractView(workbook, options, view) {
+    // Extract every sheet on its own, then merge them into one model
+    const preferred = pickBestSheet(workbook, view.skipSheets);
+    const scanned = [];
+    const sheetResults = [];
+    const unmatched = [];
+
+    workbook.SheetNames.forEach((sheetName, index) => {
+      if (view.skipSheets.has(sheetName)) return;
+      const sheet = workbook.Sheets[sheetName];
+      const skipRows = view.skipRows[sheetName];
+      const rows = skipRows ? sheetRows(sheet).map((row, r) => (skipRows.has(r) ? [] : row)) : sheetRows(sheet);
+      const result = parseSheet(rows, sheetName, options.mappings, sheet);
+      scanned.push({ sheetName, result });
+      if (!result) return;
+      unmatched.push(...result.unmatched);
+      if (!scoreResult(result)) return;
+      sheetResults.push({ sheetName, index, score: scoreResult(result), result });
+    });
+
+    // Precedence: the preferred sheet (see pickBestSheet) first, then higher score,
+    // then workbook order. For each key the highest-ranked sheet that has it wins.
+    sheetResults.sort((a, b) =>
+      (b.sheetName === preferred) - (a.sheetName === preferred) ||
+      b.score - a.score ||
+      a.index - b.index
+    );
+
+    const merged = sheetResults.length ? mergeSheets(sheetResults) : null;
+    const accepted = Boolean(merged) && scoreResult(merged) >= MIN_SCORE;
+
+    // 3. Compute derived metrics once, on the merged model
+    if (accepted) {
+      deriveMetrics(merged.series, merged.scalars, merged.periods, merged.sources);
+      merged.unmatched = distinctLabels(unmatched);
+    }
+    return { merged, accepted, scanned };
+  }
+
+  // Values closer than this (relative) are treated as the same number across sheets
+  const MERGE_TOLERANCE = 1e-6;
+
+  function sameValue(a, b) {
+    return Math.abs(a - b) <= MERGE_TOLERANCE * Math.max(1, Math.abs(a), Math.abs(b));
+  }
+
+  // Merge ranked per-sheet results: period axes are unioned and sorted, each key is
+  // taken from the highest-ranked sheet, and lower-ranked sheets only fill periods
+  // the winner leaves empty. Disagreements are reported in merge.conflicts.
+  // The axis keeps the frequencies of the highest-ranked sheet with periods, so a
+  // quarterly tab does not interleave with an annual one.
+  function mergeSheets(ranked) {
+    const lead = ranked.find(({ result }) => result.periods.length);
+    const frequencies = new Set(lead ? lead.result.periods.map((p) => p.frequency) : []);
+    const onAxis = (p) => frequencies.has(p.frequency);
+
+    const byKey = new Map();
+    for (const { result } of ranked) {
+      for (const p of result.periods.filter(onAxis)) {
+        const known = byKey.get(p.key);
+        // A type read from the workbook beats one inferred from today's date
+        if (!known || (known.typeInferred && !p.typeInferred)) byKey.set(p.key, p);
+      }
+    }
+    const periods = [...byKey.values()].sort(comparePeriods);
+    const periodKeys = periods.map((p) => p.key);
+    const years = periods.map((p) => p.fiscalYear);
+
+    const series = {};
+    const scalars = {};
+    const sources = { series: {}, scalars: {} };
+    const merge = {
+      sheets: ranked.map(({ sheetName, score }) => ({ name: sheetName, score })),
+      chosen: { series: {}, scalars: {} },
+      conflicts: [],
+      ignoredPeriods: [],
+    };
+
+    for (const { sheetName, result } of ranked) {
+      for (const p of result.periods) {
+        if (!onAxis(p)) merge.ignoredPeriods.push({ sheet: sheetName, period: p.label });
+      }
+    }
+
+    for (const { sheetName, result } of ranked) {
+      for (const [key, vals] of Object.entries(result.series)) {
+        result.periods.forEach((period, i) => {
+          const v = vals[i];
+          if (v == null || !onAxis(period)) return;
+          if (!series[key]) {
+            series[key] = periods.map(() => null);
+            sources.series[key] = periods.map(() => null);
+            merge.chosen.series[key] = sheetName;
+          }
+          const at = periodKeys.indexOf(period.key);
+          if (series[key][at] == null) {
+            series[key][at] = v;
+            sources.series[key][at] = result.sources.series[key][i];
+          } else if (!sameValue(series[key][at], v)) {
+            merge.conflicts.push({
+              key,
+              period: period.key,
+              chosen: { sheet: sources.series[key][at].sheet, value: series[key][at] },
+              ignored: { sheet: sheetName, value: v },
+            });
+          }
+        });
+      }
+
+      for (const [key, v] of Object.entries(result.scalars)) {
+        if (scalars[key] == null) {
+          scalars[key] = v;
+          sources.scalars[key] = result.sources.scalars[key];
+          merge.chosen.scalars[key] = sheetName;
+        } else if (!sameValue(scalars[key], v)) {
+          merge.conflicts.push({
+            key,
+            period: null,
+            chosen: { sheet: merge.chosen.scalars[key], value: scalars[key] },
+            ignored: { sheet: sheetName, value: v },
+          });
+        }
+      }
+    }
+
+    // Units: scale and currency from the highest-ranked sheet that states them
+    const stated = (pick) => ranked.map(({ result }) => result.units).find(pick);
+    const scaled = stated((u) => u.scaleName);
+    const priced = stated((u) => u.currency);
+    const units = {
+      scaleName: scaled ? scaled.scaleName : null,
+      scale: scaled ? scaled.scale : 1,
+      source: scaled ? scaled.source : null,
+      currency: priced ? priced.currency : null,
+      symbol: priced ? priced.symbol : DEFAULT_UNITS.symbol,
+    };
+
+    return { years, periods, series, scalars, sources, merge, units };
+  }
+
+  // Detect the layout and extract a sheet. Periods may run across a header row
+  // (the classic layout) or down a column (vendor exports); both are tried and
+  // the one that yields more series wins.
+  function parseSheet(rows, sheetName, mappings, sheet) {
+    if (!rows || rows.length < 2) return null;
+
+    const ctx = { sheetName, mappings, sheet, units: detectUnits(rows, sheet, sheetName) };
+    const byRow = extractGrid(rows, (r, c) => ({ r, c }), ctx);
+    const byCol = extractGrid(transpose(rows), (r, c) => ({ r: c, c: r }), ctx);
+    const seriesCount = (res) => (res ? Object.keys(res.series).length : 0);
+
+    if (!byCol || seriesCount(byCol) <= seriesCount(byRow)) {
+      if (byRow) byRow.orientation = 'rows';
+      return byRow;
+    }
+
+    // Transposed layout: label/value pairs such as "WACC | 9%" still read left to right
+    if (byRow) {
+      for (const [key, v] of Object.entries(byRow.scalars)) {
+        if (byCol.scalars[key] != null || byCol.series[key]) continue;
+        byCol.scalars[key] = v;
+        byCol.sources.scalars[key] = byRow.sources.scalars[key];
+        byCol.matches.push(...byRow.matches.filter((m) => m.kind === 'scalar' && m.key === key && !m.supersededBy));
+      }
+    }
+    byCol.orientation = 'columns';
+    return byCol;
+  }
+
+  function transpose(rows) {
+    const width = rows.reduce((max, row) => Math.max(max, row ? row.length : 0), 0);
+    const out = [];
+    for (let c = 0; c < width; c++) {
+      out.push(rows.map((row) => (row ? row[c] : undefined)));
+    }
+    return out;
+  }
+
+  // The column holding row labels: whichever column left of the first period
+  // column matches the most LABEL_MAP entries (models often carry an index or
+  // indent column before the labels).
+  function findLabelCol(rows, maxCol, mappings) {
+    let best = 0, bestHits = 0;
+    for (let c = 0; c < maxCol; c++) {
+      let hits = 0;
+      for (const row of rows) {
+        if (row && row[c] != null && typeof row[c] === 'string' && matchLabel(row[c], mappings)) hits++;
+      }
+      if (hits > bestHits) { best = c; bestHits = hits; }
+    }
+    return best;
+  }
+
+  // Extract series and scalars from a grid whose periods run across a row.
+  // `addr` maps grid (r, c) back to the real sheet cell for provenance;
+  // ctx is { sheetName, mappings, units, sheet }; the sheet supplies number
+  // formats, so a %-formatted 0.09 reads as 9%.
+  function extractGrid(rows, addr, ctx) {
+    if (!rows || rows.length < 2) return null;
+    const { sheetName, mappings, units } = ctx;
+
+    // 1. Detect period columns: years, "FY2025E", "Q1 2025", "1H25", ... then,
+    //    failing that, any header text containing a year ("Dec 2025")
+    let yearRow = null;
+    let yearCols = []; // { col, period }
+    for (const loose of [false, true]) {
+      for (let r = 0; r < Math.min(rows.length, loose ? 10 : 20); r++) {
+        const row = rows[r];
+        if (!row) continue;
+        const found = [];
+        const seen = new Set();
+        for (let c = 1; c < row.length; c++) {
+          const period = parsePeriod(row[c], loose);
+          if (!period || seen.has(period.key)) continue;
+          seen.add(period.key);
+          found.push({ col: c, period });
+        }
+        if (found.length >= 2) { yearRow = r; yearCols = found; break; }
+      }
+      if (yearCols.length) break;
+    }
+    if (yearCols.length) resolvePeriodTypes(rows, yearRow, yearCols);
+
+    const labelCol = findLabelCol(rows, yearCols.length ? yearCols[0].col : MAX_LABEL_COL, mappings);
+    const format = (r, c) => {
+      const cell = ctx.sheet && ctx.sheet[XLSX.utils.encode_cell(addr(r, c))];
+      return cell ? cell.z : null;
+    };
+    // Model value of grid cell (r, c) under `key`, with its provenance; `negate`
+    // flips the sign of rows stated the other way round
+    const read = (r, c, key, label, scale, negate) => {
+      const num = coerceNumber(rows[r][c]);
+      if (!num) return null;
+      const out = modelValue(key, num, label, format(r, c), scale);
+      if (negate) out.value = -out.value;
+      const at = addr(r, c);
+      out.source = cellSource(sheetName, at.r, at.c, label);
+      if (out.scaled) out.source.scale = scale;
+      if (out.basis) out.source.percentBasis = out.basis;
+      return out;
+    };
+
+    const periods = yearCols.map((yc) => yc.period);
+    const years = periods.map((p) => p.fiscalYear);
+    const series = {};   // key → [values per period]
+    const scalars = {};  // key → single value
+    const sources = { series: {}, scalars: {} };  // same shape, cell / derivation per value
+    const unmatched = [];  // numeric rows whose label nothing recognised
+
+    // 2. Scan rows for label matches. Every matched row is kept in `matches`
+    //    for diagnostics, including ones with no numbers or later overwritten.
+    const matches = [];
+    const claimed = {};  // 'series:key' / 'scalar:key' → match that holds it
+    const claim = (kind, record) => {
+      const prev = claimed[kind + ':' + record.key];
+      if (prev) prev.supersededBy = record.cell;
+      claimed[kind + ':' + record.key] = record;
+      record.kind = kind;
+    };
+
+    for (let r = 0; r < rows.length; r++) {
+      if (r === yearRow) continue;
+      const row = rows[r];
+      if (!row || !row[labelCol]) continue;
+
+      const label = row[labelCol];
+      const labelCell = XLSX.utils.encode_cell(addr(r, labelCol));
+      const match = matchLabelDetail(label, mappings);
+      if (!match) {
+        if (isMappableRow(row, labelCol)) {
+          unmatched.push({ label: String(label).trim(), sheet: sheetName, cell: labelCell });
+        }
+        continue;
+      }
+
+      const key = match.key;
+      const record = { label: String(label).trim(), cell: labelCell, ...match, kind: null };
+      matches.push(record);
+      const scale = rowScale(key, label, units, row.slice(labelCol + 1));
+      const entry = LABEL_MAP.find((e) => e.key === key);
+      const negate = !!(entry && entry.negated && match.via !== 'mapping' && entry.negated.includes(match.pattern));
+
+      // Check if this is a time-series row or a scalar
+      if (yearCols.length) {
+        const cells = yearCols.map((yc) => read(r, yc.col, key, label, scale, negate));
+        if (cells.some(Boolean)) {
+          series[key] = cells.map((cell) => (cell ? cell.value : null));
+          sources.series[key] = cells.map((cell) => (cell ? cell.source : null));
+          claim('series', record);
+          continue;
+        }
+      }
+
+      // Scalar: grab the first numeric value to the right of the label
+      for (let c = labelCol + 1; c < row.length; c++) {
+        const cell = read(r, c, key, label, scale, negate);
+        if (cell) {
+          scalars[key] = cell.value;
+          sources.scalars[key] = cell.source;
+          claim('scalar', record);
+          break;
+        }
+      }
+    }
+
+    const header = yearCols.length ? XLSX.utils.encode_range(
+      addr(yearRow, yearCols[0].col), addr(yearRow, yearCols[yearCols.length - 1].col)
+    ) : null;
+
+    return { years, periods, series, scalars, sources, unmatched, units, header, matches };
+  }
+
+  // An unrecognised row worth offering for manual mapping: a text label with
+  // at least one number to its right
+  function isMappableRow(row, labelCol) {
+    const label = row[labelCol];
+    if (typeof label !== 'string' || !/[a-z]/i.test(label) || label.length > 80) return false;
+    if (parsePeriod(label, false)) return false;
+    return row.slice(labelCol + 1).some((v) => coerceNumber(v) != null);
+  }
+
+  // One entry per distinct normalized label (first occurrence wins)
+  function distinctLabels(list) {
+    const seen = new Set();
+    const out = [];
+    for (const u of list) {
+      const normalized = normalize(u.label);
+      if (!normalized || seen.has(normalized)) continue;
+      seen.add(normalized);
+      out.push({ ...u, normalized });
+    }
+    return out;
+  }
+
+  // Every unmatched row label in the workbook, for the mapping wizard. Works
+  // even when parseDCF found too little to build a model.
+  function findUnmatchedLabels(workbook, options = {}) {
+    DCFFormulas.evaluateWorkbook(workbook);
+    const unmatched = [];
+    for (const sheetName of workbook.SheetNames) {
+      const sheet = workbook.Sheets[sheetName];
+      const result = parseSheet(sheetRows(sheet), sheetName, options.mappings, sheet);
+      if (result) unmatched.push(...result.unmatched);
+    }
+    return distinctLabels(unmatched);
+  }
+
+  // Inputs of a CAPM WACC build-up (see DCFValuation.buildWACC)
+  const WACC_INPUT_KEYS = ['riskFreeRate', 'beta', 'equityRiskPremium', 'sizePremium', 'costOfDebt', 'taxRate', 'debtToEquity', 'debtWeight'];
+
+  // Per-period tax rates (decimals) for unlevered FCF: taxes over pre-tax income
+  // where both are known (pre-tax income from its own row, else EBIT less
+  // interest, else net income plus taxes); elsewhere the stated tax rate, else
+  // the average of the measured ones. { values, formula } or null.
+  function effectiveTaxRates(series, scalars, len) {
+    const at = (key, i) => (series[key] && series[key][i] != null ? series[key][i] : null);
+    const measured = [];
+    for (let i = 0; i < len; i++) {
+      const tax = at('tax', i);
+      let pretax = at('pretaxIncome', i);
+      if (pretax == null && tax != null) {
+        if (at('ebit', i) != null && at('interestExpense', i) != null) pretax = at('ebit', i) - Math.abs(at('interestExpense', i));
+        else if (at('netIncome', i) != null) pretax = at('netIncome', i) + Math.abs(tax);
+      }
+      const rate = tax != null && pretax > 0 ? Math.abs(tax) / pretax : null;
+      measured.push(rate != null && rate < 1 ? rate : null);
+    }
+    const known = measured.filter((t) => t != null);
+    const average = known.length ? known.reduce((a, b) => a + b, 0) / known.length : null;
+    const statedSeries = series.taxRate || [];
+    const stated = scalars.taxRate != null ? scalars.taxRate : statedSeries.find((t) => t != null);
+    const values = measured.map((t, i) => {
+      if (t != null) return t;
+      if (statedSeries[i] != null) return statedSeries[i] / 100;
+      if (stated != null) return stated / 100;
+      return average;
+    });
+    if (values.every((t) => t == null)) return null;
+    const formula = !known.length ? 'Stated Tax Rate'
+      : known.length < len ? '|Taxes| ÷ Pre-Tax Income (stated or average rate elsewhere)'
+      : '|Taxes| ÷ Pre-Tax Income';
+    return { values, formula };
+  }
+
+  // Investment in net working capital per period (an increase uses cash), from a
+  // change row or, failing that, the movement in the balance. A change row is
+  // read as cash-flow signed (an increase negative) only when its own label says
+  // so: "(Increase) / decrease" or "Decrease / (increase)".
+  function nwcInvestment(series, sources) {
+    if (series.nwc) {
+      const first = (sources.series.nwc || []).find((src) => src && src.label);
+      const label = first ? first.label : '';
+      const flowSigned = /\(\s*increase\s*\)/i.test(label) || /^\W*decrease\b.*\bincrease\b/i.test(label);
+      return {
+        values: series.nwc.map((v) => (v != null ? (flowSigned ? -v : v) : null)),
+        formula: flowSigned ? '−(Change in NWC), shown as a cash flow' : 'Change in NWC',
+      };
+    }
+    if (series.nwcBalance) {
+      const balance = series.nwcBalance;
+      return {
+        values: balance.map((v, i) => (i > 0 && v != null && balance[i - 1] != null ? v - balance[i - 1] : null)),
+        formula: 'NWC − Prior NWC',
+      };
+    }
+    return null;
+  }
+
+  function deriveMetrics(series, scalars, periods, sources = { series: {}, scalars: {} }) {
+    const len = periods.length;
+
+    // Record a derived series, keeping provenance only where a value exists
+    function setSeries(key, values, formula) {
+      series[key] = values;
+      sources.series[key] = values.map((v) => (v != null ? derivedSource(formula) : null));
+    }
+
+    function setScalar(key, value, source) {
+      scalars[key] = value;
+      sources.scalars[key] = source;
+    }
+
+    // Last non-null point of a series, with the source it came from
+    function lastPoint(key) {
+      for (let i = series[key].length - 1; i >= 0; i--) {
+        if (series[key][i] != null) return { value: series[key][i], source: (sources.series[key] || [])[i] || null };
+      }
+      return null;
+    }
+
+    // A balance at the valuation point: the last actual period holding a value,
+    // else the first value (a model of projections only)
+    function balancePoint(key) {
+      const values = series[key];
+      let at = -1;
+      values.forEach((v, i) => {
+        if (v != null && periods[i] && periods[i].type === 'actual') at = i;
+      });
+      if (at === -1) at = values.findIndex((v) => v != null);
+      return at === -1 ? null : { value: values[at], source: (sources.series[key] || [])[at] || null };
+    }
+
+    // A full year of a series ending at its last point: the last value for annual
+    // periods, the sum of the last 2 halves / 4 quarters (or the last × n)
+    function terminalYear(key) {
+      const values = series[key];
+      if (!values) return null;
+      let i = values.length - 1;
+      while (i >= 0 && values[i] == null) i--;
+      if (i < 0) return null;
+      const n = { annual: 1, half: 2, quarter: 4 }[periods[i] ? periods[i].frequency : 'annual'] || 1;
+      const tail = values.slice(Math.max(0, i - n + 1), i + 1);
+      return tail.length === n && tail.every((v) => v != null)
+        ? tail.reduce((a, b) => a + b, 0)
+        : values[i] * n;
+    }
+
+    // Gross profit = revenue - cogs
+    if (!series.grossProfit && series.revenue && series.cogs) {
+      setSeries('grossProfit', series.revenue.map((r, i) =>
+        r != null && series.cogs[i] != null ? r - Math.abs(series.cogs[i]) : null
+      ), 'Revenue − |COGS|');
+    }
+
+    // EBITDA = EBIT + D&A
+    if (!series.ebitda && series.ebit && series.da) {
+      setSeries('ebitda', series.ebit.map((e, i) =>
+        e != null && series.da[i] != null ? e + Math.abs(series.da[i]) : null
+      ), 'EBIT + |D&A|');
+    }
+
+    // EBIT = EBITDA - D&A
+    if (!series.ebit && series.ebitda && series.da) {
+      setSeries('ebit', series.ebitda.map((eb, i) =>
+        eb != null && series.da[i] != null ? eb - Math.abs(series.da[i]) : null
+      ), 'EBITDA − |D&A|');
+    }
+
+    // Unlevered FCF = EBIT × (1 − t) + D&A − Capex − ΔNWC, for a model without
+    // its own FCF row
+    if (!series.fcf && series.ebit && (series.da || series.capex)) {
+      const taxRates = effectiveTaxRates(series, scalars, len);
+      if (taxRates) {
+        const nwc = nwcInvestment(series, sources);
+        setSeries('effectiveTaxRate', taxRates.values.map((t) => (t != null ? t * 100 : null)), taxRates.formula);
+        setSeries('nopat', series.ebit.map((e, i) =>
+          e != null && taxRates.values[i] != null ? e * (1 - taxRates.values[i]) : null
+        ), 'EBIT × (1 − Tax Rate)');
+        if (nwc) setSeries('nwcInvestment', nwc.values, nwc.formula);
+        // Outflows count whichever way they were signed; a missing item counts as 0
+        const at = (key, i) => (series[key] && series[key][i] != null ? series[key][i] : 0);
+        setSeries('fcf', series.nopat.map((n, i) =>
+          n != null ? n + Math.abs(at('da', i)) - Math.abs(at('capex', i)) - at('nwcInvestment', i) : null
+        ), 'NOPAT + |D&A| − |Capex| − ΔNWC');
+      }
+    }
+
+    // Margins (as percentages)
+    if (series.revenue) {
+      if (!series.grossMargin && series.grossProfit) {
+        setSeries('grossMargin', series.revenue.map((r, i) =>
+          r ? ((series.grossProfit[i] || 0) / r) * 100 : null
+        ), 'Gross Profit ÷ Revenue');
+      }
+      if (!series.ebitdaMargin && series.ebitda) {
+        setSeries('ebitdaMargin', series.revenue.map((r, i) =>
+          r ? ((series.ebitda[i] || 0) / r) * 100 : null
+        ), 'EBITDA ÷ Revenue');
+      }
+      if (!series.netMargin && series.netIncome) {
+        setSeries('netMargin', series.revenue.map((r, i) =>
+          r ? ((series.netIncome[i] || 0) / r) * 100 : null
+        ), 'Net Income ÷ Revenue');
+      }
+    }
+
+    // WACC and its build-up inputs / terminal growth / exit multiple — promote
+    // series single values to scalars
+    for (const k of ['wacc', ...WACC_INPUT_KEYS, 'terminalGrowth', 'exitMultiple']) {
+      if (!scalars[k] && series[k]) {
+        const i = series[k].findIndex((x) => x != null);
+        if (i !== -1) setScalar(k, series[k][i], (sources.series[k] || [])[i] || null);
+      }
+    }
+
+    // Enterprise Value from scalars or last series value
+    for (const k of ['enterpriseValue', 'terminalValue', 'equityValue', 'valuePerShare']) {
+      if (!scalars[k] && series[k]) {
+        const last = lastPoint(k);
+        if (last) setScalar(k, last.value, last.source);
+      }
+    }
+
+    // Terminal value both ways: perpetuity growth on the final year's FCF and an
+    // exit multiple on its EBITDA. Each implies the other method's driver.
+    const finalFCF = terminalYear('fcf');
+    const finalEBITDA = terminalYear('ebitda');
+    const w = scalars.wacc != null ? scalars.wacc / 100 : null;
+    if (finalFCF != null && w != null && scalars.terminalGrowth != null && w > scalars.terminalGrowth / 100) {
+      const g = scalars.terminalGrowth / 100;
+      setScalar('terminalValueGrowth', (finalFCF * (1 + g)) / (w - g), derivedSource('Final FCF × (1 + g) ÷ (WACC − g)'));
+    }
+    if (finalEBITDA != null && scalars.exitMultiple != null) {
+      setScalar('terminalValueExit', finalEBITDA * scalars.exitMultiple, derivedSource('Final EBITDA × Exit Multiple'));
+    }
+    if (scalars.terminalValueExit != null && finalFCF != null && w != null) {
+      const tv = scalars.terminalValueExit;
+      setScalar('impliedGrowth', ((tv * w - finalFCF) / (tv + finalFCF)) * 100,
+        derivedSource('(Exit TV × WACC − FCF) ÷ (Exit TV + FCF)'));
+    }
+    if (scalars.terminalValueGrowth != null && finalEBITDA) {
+      setScalar('impliedMultiple', scalars.terminalValueGrowth / finalEBITDA, derivedSource('Perpetuity-growth TV ÷ Final EBITDA'));
+    }
+
+    // A model stating only one method's driver gets that method's terminal value
+    if (scalars.terminalValue == null) {
+      if (scalars.terminalValueGrowth != null && scalars.exitMultiple == null) {
+        setScalar('terminalValue', scalars.terminalValueGrowth, sources.scalars.terminalValueGrowth);
+      } else if (scalars.terminalValueExit != null && scalars.terminalGrowth == null) {
+        setScalar('terminalValue', scalars.terminalValueExit, sources.scalars.terminalValueExit);
+      }
+    }
+
+    // Balance sheet items for the equity bridge, as of the last actual period
+    for (const k of ['sharesOutstanding', ...BRIDGE_STEPS.map((step) => step.key)]) {
+      if (scalars[k] == null && series[k]) {
+        const at = balancePoint(k);
+        if (at) setScalar(k, at.value, at.source);
+      }
+    }
+
+    // Equity value from EV through the bridge; without any bridge item it stays
+    // unknown rather than passing EV off as equity
+    const bridge = equityBridge(scalars);
+    if (scalars.equityValue == null && bridge && bridge.steps.length > 1) {
+      setScalar('equityValue', bridge.equityValue,
+        derivedSource('Enterprise Value ' + bridge.steps.slice(1).map((step) => (step.value < 0 ? '− ' : '+ ') + step.label).join(' ')));
+    }
+
+    // Value per share
+    if (scalars.valuePerShare == null && scalars.equityValue != null && scalars.sharesOutstanding) {
+      setScalar('valuePerShare', scalars.equityValue / scalars.sharesOutstanding, derivedSource('Equity Value ÷ Shares Outstanding'));
+    }
+
+    // PV of FCF / PV of terminal
+    if (!scalars.pvFCF && series.pvFCF) {
+      setScalar('pvFCF', series.pvFCF.reduce((a, b) => (a || 0) + (b || 0), 0), derivedSource('Σ PV of FCF'));
+    }
+    if (!scalars.pvTerminal && series.pvTerminal) {
+      const last = lastPoint('pvTerminal');
+      if (last) setScalar('pvTerminal', last.value, last.source);
+    }
+
+    // If we have EV and pvTerminal but no pvFCF, derive it
+    if (scalars.enterpriseValue && scalars.pvTerminal && !scalars.pvFCF) {
+      setScalar('pvFCF', scalars.enterpriseValue - scalars.pvTerminal, derivedSource('Enterprise Value − PV of Terminal Value'));
+    }
+    if (scalars.enterpriseValue && scalars.pvFCF && !scalars.pvTerminal) {
+      setScalar('pvTerminal', scalars.enterpriseValue - scalars.pvFCF, derivedSource('Enterprise Value − PV of FCF'));
+    }
+  }
+
+  // ────────────────────────────────────────────────
+  //  SCENARIOS
+  // ────────────────────────────────────────────────
+
+  // Case names. The first few of each stand on their own; the rest only count
+  // beside "case" or "scenario" ("Low Case", not a "Low" row).
+  const SCENARIOS = [
+    { key: 'base', name: 'Base', names: ['base'], withCase: ['management', 'mgmt', 'central', 'expected', 'mid'] },
+    { key: 'bull', name: 'Bull', names: ['bull', 'upside'], withCase: ['best', 'optimistic', 'high', 'strong'] },
+    { key: 'bear', name: 'Bear', names: ['bear', 'downside'], withCase: ['worst', 'pessimistic', 'low', 'weak', 'stress'] },
+  ];
+
+  // Words around a case name: "Bull Case", "Scenario: Bear", "DCF - Upside"
+  const SCENARIO_WORDS = new Set(['case', 'scenario', 'dcf', 'model', 'valuation', 'assumptions', 'projections', 'forecast']);
+
+  // Labels of a cell that picks the active case ("Scenario | 2", "Case | Bull")
+  const CASE_SWITCH_LABELS = new Set([
+    'scenario', 'case', 'case switch', 'scenario switch', 'active case', 'active scenario', 'selected case',
+    'selected scenario', 'scenario selector', 'case selector', 'scenario selection', 'case selection',
+  ]);
+
+  // Scenario key a sheet name or header names, or null
+  function scenarioOf(text) {
+    const words = normalize(text).split(' ');
+    const rest = words.filter((w) => !SCENARIO_WORDS.has(w));
+    if (rest.length !== 1) return null;
+    const flagged = words.includes('case') || words.includes('scenario');
+    const found = SCENARIOS.find((sc) => sc.names.includes(rest[0]) || (flagged && sc.withCase.includes(rest[0])));
+    return found ? found.key : null;
+  }
+
+  // Scenario key of a block header row: a case name as the row's first entry
+  // (within the label columns) and no numbers anywhere on it
+  function scenarioHeader(row) {
+    if (!row) return null;
+    const first = row.findIndex((v) => v != null && v !== '');
+    if (first === -1 || first >= MAX_LABEL_COL || typeof row[first] !== 'string') return null;
+    if (row.some((v) => coerceNumber(v) != null)) return null;
+    return scenarioOf(row[first]);
+  }
+
+  // Last row of a block that runs to the end of its data: the row before the
+  // first blank one after it has started
+  function blockEnd(rows, from) {
+    let started = false;
+    for (let r = from + 1; r < rows.length; r++) {
+      const blank = !rows[r] || rows[r].every((v) => v == null || v === '');
+      if (blank && started) return r - 1;
+      if (!blank) started = true;
+    }
+    return rows.length - 1;
+  }
+
+  // Sheets named for a case, and blocks of rows headed by a case name (a block
+  // runs to the next header; the last one to the first blank row). A sheet
+  // needs headers of two different cases to count as split into blocks.
+  // Returns [{ key, name, sheets, blocks: [{ sheet, from, to }] }] in SCENARIOS
+  // order, or [] unless some case other than the base is found.
+  function detectScenarios(workbook) {
+    const byKey = {};
+    const entry = (key) => {
+      if (!byKey[key]) byKey[key] = { key, name: SCENARIOS.find((sc) => sc.key === key).name, sheets: [], blocks: [] };
+      return byKey[key];
+    };
+
+    for (const sheetName of workbook.SheetNames) {
+      const key = scenarioOf(sheetName);
+      if (key) {
+        entry(key).sheets.push(sheetName);
+        continue;
+      }
+      const rows = sheetRows(workbook.Sheets[sheetName]);
+      const heads = [];
+      rows.forEach((row, r) => {
+        const head = scenarioHeader(row);
+        if (head) heads.push({ r, key: head });
+      });
+      if (new Set(heads.map((h) => h.key)).size < 2) continue;
+      heads.forEach((h, i) => {
+        const to = i + 1 < heads.length ? heads[i + 1].r - 1 : blockEnd(rows, h.r);
+        entry(h.key).blocks.push({ sheet: sheetName, from: h.r, to });
+      });
+    }
+
+    const found = SCENARIOS.map((sc) => byKey[sc.key]).filter(Boolean);
+    return found.some((sc) => sc.key !== 'base') ? found : [];
+  }
+
+  // The workbook as one case sees it: every other case's sheets and block rows
+  // left out. { skipSheets: Set, skipRows: { sheet → Set of row indexes } }
+  function scenarioView(found, keep) {
+    const view = { skipSheets: new Set(), skipRows: {} };
+    for (const sc of found) {
+      if (sc === keep) continue;
+      sc.sheets.forEach((name) => view.skipSheets.add(name));
+      for (const b of sc.blocks) {
+        const rows = view.skipRows[b.sheet] || (view.skipRows[b.sheet] = new Set());
+        for (let r = b.from; r <= b.to; r++) rows.add(r);
+      }
+    }
+    return view;
+  }
+
+  // "Bull Case" for sheets, "DCF!12:30" for blocks
+  function scenarioLocation(sc) {
+    return sc.sheets.concat(sc.blocks.map((b) => `${b.sheet}!${b.from + 1}:${b.to + 1}`)).join(', ');
+  }
+
+  // A case switch cell, as { sheet, cell, label, value, key }: the value beside
+  // a "Scenario" / "Case" label, with the case it names when it is a name
+  function findCaseSwitch(workbook) {
+    for (const sheetName of workbook.SheetNames) {
+      const rows = sheetRows(workbook.Sheets[sheetName]);
+      for (let r = 0; r < rows.length; r++) {
+        const row = rows[r] || [];
+        for (let c = 0; c < Math.min(row.length, MAX_LABEL_COL); c++) {
+          if (typeof row[c] !== 'string' || !CASE_SWITCH_LABELS.has(normalize(row[c]))) continue;
+          const at = row.findIndex((v, i) => i > c && v != null && v !== '');
+          if (at === -1) continue;
+          const value = row[at];
+          return {
+            sheet: sheetName,
+            cell: XLSX.utils.encode_cell({ r, c: at }),
+            label: String(row[c]).trim(),
+            value,
+            key: typeof value === 'string' ? scenarioOf(value) : null,
+          };
+        }
+      }
+    }
+    return null;
+  }
+
+  // Valuation outputs, which belong to a case only when read from its own rows
+  const CASE_OUTPUTS = ['enterpriseValue', 'equityValue', 'valuePerShare', 'pvFCF', 'pvTerminal', 'terminalValue'];
+
+  // Whether a cell source lies in one of the case's sheets or blocks
+  function ownCell(sc, src) {
+    if (sc.sheets.includes(src.sheet)) return true;
+    const { r } = XLSX.utils.decode_cell(src.cell);
+    return sc.blocks.some((b) => b.sheet === src.sheet && r >= b.from && r <= b.to);
+  }
+
+  // model.scenarios: { list: [{ key, name, location, primary, model }], caseSwitch }.
+  // The primary case is the model itself (model null); each other case is
+  // extracted from its own view as { years, periods, series, scalars, sources, units },
+  // without outputs it shares with the rest (an EV stated once is the base case's).
+  function workbookScenarios(workbook, options, found, primary, caseSwitch) {
+    const list = [];
+    if (found.length) {
+      list.push(primary
+        ? { key: primary.key, name: primary.name, location: scenarioLocation(primary), primary: true, model: null }
+        : { key: 'base', name: 'Base', location: null, primary: true, model: null });
+    }
+    for (const sc of found) {
+      if (sc === primary) continue;
+      const { merged, accepted } = extractView(workbook, options, scenarioView(found, sc));
+      if (!accepted) continue;
+      for (const key of CASE_OUTPUTS) {
+        const points = merged.sources.series[key] || [];
+        if (points.some((src) => src && !src.derived && !ownCell(sc, src))) {
+          delete merged.series[key];
+          delete merged.sources.series[key];
+        }
+        const src = merged.sources.scalars[key];
+        if (src && !src.derived && !ownCell(sc, src)) {
+          delete merged.scalars[key];
+          delete merged.sources.scalars[key];
+        }
+      }
+      const { years, periods, series, scalars, sources, units } = restate(merged);
+      list.push({ key: sc.key, name: sc.name, location: scenarioLocation(sc), primary: false, model: { years, periods, series, scalars, sources, units } });
+    }
+    return { list, caseSwitch };
+  }
+
+  // ────────────────────────────────────────────────
+  //  RESTATEMENT
+  // ────────────────────────────────────────────────
+
+  // Stated outputs that follow from the enterprise value
+  const EV_OUTPUTS = ['equityValue', 'valuePerShare'];
+
+  // A copy of the model with some values changed and everything derived from
+  // them worked out again.
+  //   changes: { series: { key → values }, scalars: { key → value }, formula }
+  // Changed values are recorded as derived from `formula`. What the parser
+  // derived is dropped and derived afresh; a changed enterprise value also
+  // replaces the equity value and value per share the workbook states.
+  function restate(model, changes = {}) {
+    const source = derivedSource(changes.formula || 'Changed input');
+    const isDerived = (src) => !src || src.derived;
+    const series = {};
+    const scalars = {};
+    const sources = { series: {}, scalars: {} };
+
+    for (const [key, values] of Object.entries(model.series)) {
+      const points = model.sources.series[key] || [];
+      if (points.every(isDerived)) continue;
+      series[key] = values.slice();
+      sources.series[key] = points.slice();
+    }
+    for (const [key, value] of Object.entries(model.scalars)) {
+      if (isDerived(model.sources.scalars[key])) continue;
+      scalars[key] = value;
+      sources.scalars[key] = model.sources.scalars[key];
+    }
+
+    // Points a changed series leaves as they were keep their provenance
+    for (const [key, values] of Object.entries(changes.series || {})) {
+      const before = model.series[key] || [];
+      const points = model.sources.series[key] || [];
+      series[key] = values.slice();
+      sources.series[key] = values.map((v, i) => (v == null ? null : v === before[i] ? points[i] || source : source));
+    }
+    const changedScalars = changes.scalars || {};
+    if (changedScalars.enterpriseValue != null) {
+      for (const key of EV_OUTPUTS) {
+        delete scalars[key];
+        delete sources.scalars[key];
+      }
+    }
+    for (const [key, value] of Object.entries(changedScalars)) {
+      if (value == null) continue;
+      scalars[key] = value;
+      sources.scalars[key] = source;
+    }
+
+    deriveMetrics(series, scalars, model.periods, sources);
+    return { ...model, series, scalars, sources };
+  }
+
+  // ────────────────────────────────────────────────
+  //  DIAGNOSTICS
+  // ────────────────────────────────────────────────
+
+  // What a usable model needs most; each missing one costs confidence
+  const CORE_KEYS = ['revenue', 'fcf', 'wacc', 'terminalGrowth', 'enterpriseValue'];
+
+  // Per-share values outside this range are flagged in the diagnostics
+  const PER_SHARE_RANGE = [0.01, 1e6];
+
+  // Report of how the workbook was read: sheets and their scores, the period
+  // header found on each, label → key matches, ambiguous matches, ignored rows,
+  // and an overall 0-100 confidence in the extraction
+  function buildDiagnostics(scanned, merged, accepted, formulas) {
+    const used = new Set(merged ? merged.merge.sheets.map((s) => s.name) : []);
+    const sheets = [];
+    const matches = [];
+    const ambiguous = [];
+    const ignored = [];
+
+    for (const { sheetName, result } of scanned) {
+      if (!result) {
+        sheets.push({ name: sheetName, score: 0, used: false, header: null, orientation: null, periods: 0, series: 0, scalars: 0, note: 'Empty sheet' });
+        continue;
+      }
+      const score = scoreResult(result);
+      sheets.push({
+        name: sheetName,
+        score,
+        used: used.has(sheetName),
+        header: result.header,
+        orientation: result.orientation,
+        periods: result.periods.length,
+        series: Object.keys(result.series).length,
+        scalars: Object.keys(result.scalars).length,
+        note: score ? null : 'No recognised rows with values',
+      });
+
+      for (const m of result.matches) {
+        const at = { sheet: sheetName, cell: m.cell, label: m.label, key: m.key };
+        matches.push({ ...at, pattern: m.pattern, via: m.via, kind: m.kind });
+
+        if (m.alternatives.length) {
+          ambiguous.push({ ...at, alternatives: m.alternatives, reason: 'Also fits ' + m.alternatives.join(', ') });
+        } else if (m.via === 'partial') {
+          ambiguous.push({ ...at, alternatives: [], reason: `"${m.pattern}" matched inside another word` });
+        }
+        if (!m.kind) ignored.push({ ...at, reason: 'No numeric values' });
+        else if (m.supersededBy) ignored.push({ ...at, reason: `Overwritten by ${m.supersededBy}` });
+      }
+      for (const u of result.unmatched) {
+        ignored.push({ sheet: sheetName, cell: u.cell, label: u.label, key: null, reason: 'No matching metric' });
+      }
+    }
+
+    const conflicts = merged ? merged.merge.conflicts.length : 0;
+    const perShare = merged ? merged.scalars.valuePerShare : null;
+    const implausible = perShare != null && (Math.abs(perShare) < PER_SHARE_RANGE[0] || Math.abs(perShare) > PER_SHARE_RANGE[1]);
+    const score = merged ? scoreResult(merged) : 0;
+    let reason = null;
+    if (!merged) reason = 'No sheet contained recognised DCF rows with values';
+    else if (!accepted) reason = `Too little DCF data (score ${score}, at least ${MIN_SCORE} needed)`;
+
+    return {
+      confidence: confidenceScore({ merged, accepted, matches, ambiguous, ignored, conflicts, formulas }),
+      accepted,
+      reason,
+      score,
+      sheets,
+      matches,
+      ambiguous,
+      ignored,
+      ignoredPeriods: merged ? merged.merge.ignoredPeriods : [],
+      conflicts,
+      formulaErrors: formulas.errors.length,
+      circularReferences: formulas.cycles.length,
+      // A per-share value this far out usually means share counts in the wrong units
+      perShareWarning: implausible ? `Value per share of ${+perShare.toPrecision(4)} is implausible; check the units of shares outstanding` : null,
+    };
+  }
+
+  // 60 points for core metric coverage, 20 for the period axis, 20 for the share
+  // of numeric rows recognised; ambiguity, cross-sheet conflicts and formula
+  // errors (circular references among them) each take some back
+  function confidenceScore({ merged, accepted, matches, ambiguous, ignored, conflicts, formulas }) {
+    if (!merged) return { score: 0, level: 'low' };
+    const has = (k) => merged.series[k] != null || merged.scalars[k] != null;
+    const unrecognised = ignored.filter((i) => !i.key).length;
+    const recognised = matches.filter((m) => m.kind).length;
+
+    let score = 60 * CORE_KEYS.filter(has).length / CORE_KEYS.length
+      + 20 * Math.min(merged.periods.length, 3) / 3
+      + 20 * (recognised ? recognised / (recognised + unrecognised) : 0);
+    score -= Math.min(20, 5 * ambiguous.length);
+    score -= Math.min(15, 3 * conflicts);
+    score -= Math.min(10, 2 * (formulas.errors.length + formulas.cycles.length));
+    if (!accepted) score = Math.min(score, 25);
+
+    score = Math.max(0, Math.round(score));
+    return { score, level: score >= 75 ? 'high' : score >= 50 ? 'medium' : 'low' };
+  }
+
+  // ────────────────────────────────────────────────
+  //  EQUITY BRIDGE
+  // ────────────────────────────────────────────────
+
+  // EV → equity adjustments. Models sign these either way, so magnitudes are
+  // used with the direction fixed here; net debt keeps its sign (negative is
+  // net cash) and stands in only when debt and cash are not given separately.
+  const BRIDGE_STEPS = [
+    { key: 'netDebt',          label: 'Net Debt',          sign: -1 },
+    { key: 'debt',             label: 'Debt',              sign: -1 },
+    { key: 'preferred',        label: 'Preferred Stock',   sign: -1 },
+    { key: 'minorityInterest', label: 'Minority Interest', sign: -1 },
+    { key: 'cash',             label: 'Cash',              sign: 1 },
+    { key: 'investments',      label: 'Investments',       sign: 1 },
+  ];
+
+  // { steps: [{ key, label, value }], equityValue, sharesOutstanding, perShare }
+  // starting from enterprise value, or null without one
+  function equityBridge(scalars) {
+    if (scalars.enterpriseValue == null) return null;
+    const steps = [{ key: 'enterpriseValue', label: 'Enterprise Value', value: scalars.enterpriseValue }];
+    const separate = scalars.debt != null || scalars.cash != null;
+    for (const step of BRIDGE_STEPS) {
+      const v = scalars[step.key];
+      if (v == null || (step.key === 'netDebt' && separate)) continue;
+      const value = step.key === 'netDebt' ? -v : step.sign * Math.abs(v);
+      steps.push({ key: step.key, label: step.label, value });
+    }
+    const equityValue = steps.reduce((sum, step) => sum + step.value, 0);
+    const shares = scalars.sharesOutstanding || null;
+    return { steps, equityValue, sharesOutstanding: shares, perShare: shares ? equityValue / shares : null };
+  }
+
+  // Read raw file bytes (Uint8Array or Node Buffer) into a workbook.
+  // sheetStubs keeps formula cells that were saved without a cached value;
+  // cellNF keeps number formats, which tell percent rates from decimals.
+  function readWorkbook(data) {
+    return XLSX.read(data, { type: 'array', sheetStubs: true, cellNF: true });
+  }
+
+  // Read and run the full extraction; options.mappings as for matchLabel
+  function parseFile(data, options = {}) {
+    return parseDCF(readWorkbook(data), options);
+  }
+
+  return {
+    LABEL_MAP,
+    normalize,
+    matchLabel,
+    matchLabelDetail,
+    coerceNumber,
+    parsePeriod,
+    parseDCF,
+    diagnoseDCF,
+    parseSheet,
+    deriveMetrics,
+    restate,
+    equityBridge,
+    findUnmatchedLabels,
+    readWorkbook,
+    parseFile,
+  };
+});
@@ -0,0 +1,21 @@
+/* ============================================================
+   DCF Model Excel Visualizer — simulation-worker.js
+   Runs Monte Carlo valuations off the UI thread
+   ============================================================ */
+
+importScripts('valuation.js');
+
+// { id, model, options } in; { id, progress } while running, then { id, result }
+// or { id, error }
+self.onmessage = (e) => {
+  const { id, model, options } = e.data;
+  try {
+    const result = DCFValuation.simulate(model, {
+      ...options,
+      onProgress: (done, total) => self.postMessage({ id, progress: done / total }),
+    });
+    self.postMessage({ id, result });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
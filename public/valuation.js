@@ -0,0 +1,721 @@
+/* ============================================================
+   DCF Model Excel Visualizer — valuation.js
+   Recalculates a DCF from the parsed model (browser and server)
+   ============================================================ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DCFValuation = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const DAY_MS = 86400000;
+  const YEAR_DAYS = 365.25;
+  const MONTHS = { annual: 12, half: 6, quarter: 3 };
+
+  // Parsed values within this (relative) of the recalculation count as agreeing
+  const RECONCILE_TOLERANCE = 0.01;
+
+  // ────────────────────────────────────────────────
+  //  DATES
+  // ────────────────────────────────────────────────
+
+  function toDate(iso) {
+    const d = new Date(iso + 'T00:00:00Z');
+    return isNaN(d) ? null : d;
+  }
+
+  function isoDate(d) {
+    return d.toISOString().slice(0, 10);
+  }
+
+  // Last day of the period before `period` (its start is the day after)
+  function periodStart(period) {
+    const end = toDate(period.end);
+    return new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() + 1 - MONTHS[period.frequency], 0));
+  }
+
+  function yearsBetween(from, to) {
+    return (to - from) / DAY_MS / YEAR_DAYS;
+  }
+
+  // Default valuation date: the end of the last actual period, or failing any
+  // actuals, the day before the first period starts
+  function defaultValuationDate(periods) {
+    const actuals = periods.filter((p) => p.type === 'actual');
+    if (actuals.length) return actuals[actuals.length - 1].end;
+    return periods.length ? isoDate(periodStart(periods[0])) : null;
+  }
+
+  // ────────────────────────────────────────────────
+  //  VALUATION
+  // ────────────────────────────────────────────────
+
+  // Terminal value method a model uses: 'exit' when it states only an exit
+  // multiple, 'growth' when only a growth rate; with both, whichever terminal
+  // value lands nearer the one the workbook states (growth if it states none)
+  function terminalMethod(model) {
+    const s = model.scalars;
+    if (s.exitMultiple == null) return 'growth';
+    if (s.terminalGrowth == null) return 'exit';
+    const stated = (model.sources && model.sources.scalars.terminalValue) || {};
+    if (s.terminalValue == null || stated.derived) return 'growth';
+    const gap = (tv) => (tv != null ? Math.abs(tv - s.terminalValue) : Infinity);
+    return gap(s.terminalValueExit) < gap(s.terminalValueGrowth) ? 'exit' : 'growth';
+  }
+
+  // Value the explicit forecast plus a terminal value.
+  //   model:   parsed model ({ periods, series, scalars })
+  //   options: { wacc, terminalGrowth (percent), exitMultiple — default the model's;
+  //              terminalMethod ('growth' | 'exit', default terminalMethod(model)),
+  //              midYear (false), valuationDate ('YYYY-MM-DD') }
+  // Cash flows of periods ending after the valuation date are discounted at
+  // WACC over their year fraction from it; a period the date falls inside is a
+  // stub, and only the remaining share of its FCF counts. With the mid-year
+  // convention each flow arrives halfway through its (remaining) period; an
+  // exit-multiple terminal value is a sale at the end of the forecast either way.
+  // Returns null when the inputs for the method are missing or WACC ≤ growth.
+  function valueDCF(model, options = {}) {
+    const periods = model.periods || [];
+    const fcf = model.series.fcf;
+    const ebitda = model.series.ebitda;
+    const pick = (key) => (options[key] != null ? options[key] : model.scalars[key]);
+    const wacc = pick('wacc');
+    const growth = pick('terminalGrowth');
+    const multiple = pick('exitMultiple');
+    const method = options.terminalMethod || terminalMethod(model);
+    const midYear = !!options.midYear;
+    if (!fcf || wacc == null || !periods.length) return null;
+
+    const w = wacc / 100;
+    const g = growth != null ? growth / 100 : null;
+    if (w <= -1) return null;
+    if (method === 'growth' && (g == null || w <= g)) return null;
+    if (method === 'exit' && (multiple == null || !ebitda)) return null;
+
+    const valuationDate = options.valuationDate || defaultValuationDate(periods);
+    const vd = toDate(valuationDate);
+    if (!vd) return null;
+
+    const rows = [];
+    periods.forEach((period, i) => {
+      const end = toDate(period.end);
+      if (fcf[i] == null || end <= vd) return;
+      const start = periodStart(period);
+      const length = yearsBetween(start, end);
+      const stub = start < vd ? yearsBetween(vd, end) / length : 1;
+      const tEnd = yearsBetween(vd, end);
+      const t = midYear ? tEnd - (length * stub) / 2 : tEnd;
+      const cashFlow = fcf[i] * stub;
+      const factor = Math.pow(1 + w, -t);
+      rows.push({ index: i, period: period.key, label: period.label, fcf: fcf[i], stub, cashFlow, t, factor, pv: cashFlow * factor });
+    });
+    if (!rows.length) return null;
+
+    // Terminal value on a full year after the last forecast period: the last
+    // 2 halves / 4 quarters summed, or the last period × n when some are missing
+    const lastIndex = rows[rows.length - 1].index;
+    const last = periods[lastIndex];
+    const perYear = 12 / MONTHS[last.frequency];
+    const finalYear = (values) => {
+      const tail = rows.slice(-perYear).map((r) => values[r.index]);
+      if (tail.length === perYear && tail.every((v) => v != null)) return tail.reduce((a, b) => a + b, 0);
+      return values[lastIndex] != null ? values[lastIndex] * perYear : null;
+    };
+    const finalFCF = finalYear(fcf);
+    const finalEBITDA = ebitda ? finalYear(ebitda) : null;
+    if (method === 'exit' && finalEBITDA == null) return null;
+
+    const tEnd = yearsBetween(vd, toDate(last.end));
+    let terminalValue, tvTime;
+    if (method === 'exit') {
+      terminalValue = finalEBITDA * multiple;
+      tvTime = tEnd;
+    } else {
+      terminalValue = (finalFCF * (1 + g)) / (w - g);
+      tvTime = tEnd - (midYear ? 0.5 : 0);
+    }
+    const pvTerminal = terminalValue * Math.pow(1 + w, -tvTime);
+
+    const pvFCF = rows.reduce((sum, r) => sum + r.pv, 0);
+    return {
+      enterpriseValue: pvFCF + pvTerminal,
+      pvFCF,
+      pvTerminal,
+      terminalValue,
+      terminalMethod: method,
+      // The other method's driver, as implied by this terminal value
+      impliedGrowth: method === 'exit' ? ((terminalValue * w - finalFCF) / (terminalValue + finalFCF)) * 100 : growth,
+      impliedMultiple: finalEBITDA ? terminalValue / finalEBITDA : null,
+      rows,
+      valuationDate,
+      midYear,
+      wacc,
+      terminalGrowth: growth,
+      exitMultiple: multiple,
+      stub: rows[0].stub < 1 ? rows[0].stub : null,
+    };
+  }
+
+  // ────────────────────────────────────────────────
+  //  FORECAST
+  // ────────────────────────────────────────────────
+
+  // Indexes of the forecast periods: the estimates, or every period after the
+  // first when the model marks none
+  function forecastIndexes(model) {
+    const periods = model.periods || [];
+    const estimates = periods.map((p, i) => (p.type === 'estimate' ? i : -1)).filter((i) => i !== -1);
+    return estimates.length ? estimates : periods.map((p, i) => i).slice(1);
+  }
+
+  // An override is one number for every forecast period or an array by period index
+  function overrideAt(value, i) {
+    return Array.isArray(value) ? value[i] : value;
+  }
+
+  // A copy of the model with its forecast re-driven.
+  //   overrides: { revenueGrowth (percent a year), ebitdaMargin (percent) }
+  // Revenue compounds from the period before at the new growth (pro rata for
+  // halves and quarters); EBITDA is revenue × margin, the model's own margin
+  // where none is given. FCF keeps its conversion of EBITDA (of revenue without
+  // an EBITDA row), so both drivers flow through to value. Actuals never change.
+  function flexModel(model, overrides = {}) {
+    const { series } = model;
+    if (!series.revenue || (overrides.revenueGrowth == null && overrides.ebitdaMargin == null)) return model;
+    const revenue = series.revenue.slice();
+    const ebitda = series.ebitda ? series.ebitda.slice() : null;
+    const fcf = series.fcf ? series.fcf.slice() : null;
+
+    for (const i of forecastIndexes(model)) {
+      const growth = overrideAt(overrides.revenueGrowth, i);
+      if (growth != null && revenue[i - 1] != null) {
+        revenue[i] = revenue[i - 1] * Math.pow(1 + growth / 100, MONTHS[model.periods[i].frequency] / 12);
+      }
+      if (revenue[i] == null) continue;
+      const margin = overrideAt(overrides.ebitdaMargin, i);
+      if (ebitda) {
+        const base = series.ebitda[i];
+        if (margin != null) ebitda[i] = revenue[i] * margin / 100;
+        else if (base != null && series.revenue[i]) ebitda[i] = revenue[i] * base / series.revenue[i];
+        if (fcf && fcf[i] != null && base) fcf[i] = series.fcf[i] * ebitda[i] / base;
+      } else if (fcf && fcf[i] != null && series.revenue[i]) {
+        fcf[i] = series.fcf[i] * revenue[i] / series.revenue[i];
+      }
+    }
+
+    const flexed = { ...series, revenue };
+    if (ebitda) {
+      flexed.ebitda = ebitda;
+      flexed.ebitdaMargin = ebitda.map((e, i) => (e != null && revenue[i] ? (e / revenue[i]) * 100 : null));
+    }
+    if (fcf) flexed.fcf = fcf;
+    return { ...model, series: flexed };
+  }
+
+  // ────────────────────────────────────────────────
+  //  SCENARIOS
+  // ────────────────────────────────────────────────
+
+  // Probability-weighted value of [{ probability (percent), value }]. Weights
+  // are scaled to the probabilities given, so they need not sum to 100; cases
+  // without a value are left out. { value, probability } or null.
+  function probabilityWeighted(entries) {
+    const counted = entries.filter((e) => e.value != null && isFinite(e.value) && e.probability > 0);
+    const probability = counted.reduce((sum, e) => sum + e.probability, 0);
+    if (!probability) return null;
+    return { value: counted.reduce((sum, e) => sum + e.probability * e.value, 0) / probability, probability };
+  }
+
+  // ────────────────────────────────────────────────
+  //  WACC
+  // ────────────────────────────────────────────────
+
+  // Built-up and stated WACC further apart than this (percentage points) are flagged
+  const WACC_TOLERANCE = 0.1;
+
+  // CAPM build-up. inputs, rates in percent: riskFreeRate, beta, equityRiskPremium,
+  // sizePremium (default 0), costOfDebt (pre-tax), taxRate (default 0), and the
+  // capital structure as debtToEquity (a ratio) or debtWeight (percent of capital).
+  // Without a capital structure the firm is taken as all equity (allEquity: true).
+  // Returns null when cost of equity cannot be built, or debt has no cost.
+  function buildWACC(inputs) {
+    const { riskFreeRate, beta, equityRiskPremium, costOfDebt } = inputs;
+    if (riskFreeRate == null || beta == null || equityRiskPremium == null) return null;
+
+    const costOfEquity = riskFreeRate + beta * equityRiskPremium + (inputs.sizePremium || 0);
+    const allEquity = inputs.debtWeight == null && inputs.debtToEquity == null;
+    const debtShare = inputs.debtWeight != null ? inputs.debtWeight / 100
+      : allEquity ? 0 : inputs.debtToEquity / (1 + inputs.debtToEquity);
+    if (debtShare > 0 && costOfDebt == null) return null;
+
+    const afterTaxCostOfDebt = costOfDebt != null ? costOfDebt * (1 - (inputs.taxRate || 0) / 100) : null;
+    return {
+      wacc: (1 - debtShare) * costOfEquity + debtShare * (afterTaxCostOfDebt || 0),
+      costOfEquity,
+      afterTaxCostOfDebt,
+      equityWeight: (1 - debtShare) * 100,
+      debtWeight: debtShare * 100,
+      allEquity,
+    };
+  }
+
+  // The build-up against a stated WACC: { built, stated, diff, differs }
+  function checkWACC(inputs, stated) {
+    const built = buildWACC(inputs);
+    if (!built) return null;
+    const diff = stated != null ? built.wacc - stated : null;
+    return { built, stated: stated != null ? stated : null, diff, differs: diff != null && Math.abs(diff) > WACC_TOLERANCE };
+  }
+
+  // ────────────────────────────────────────────────
+  //  RETURNS
+  // ────────────────────────────────────────────────
+
+  // Rates tried when looking for a sign change of NPV (decimals)
+  const RATE_GRID = [-0.99, -0.9, -0.75, -0.5, -0.3, -0.15, -0.05, 0, 0.05, 0.1, 0.15, 0.2, 0.3, 0.5, 0.75, 1, 1.5, 2, 3, 5, 10];
+
+  // flows: [{ t (years or periods from now), amount }]
+  function npv(rate, flows) {
+    return flows.reduce((sum, f) => sum + f.amount / Math.pow(1 + rate, f.t), 0);
+  }
+
+  function npvSlope(rate, flows) {
+    return flows.reduce((sum, f) => sum - (f.t * f.amount) / Math.pow(1 + rate, f.t + 1), 0);
+  }
+
+  // The rate (decimal) at which NPV is zero, or null when there is none. Every
+  // bracket [lo, hi] on RATE_GRID with a sign change is a root; the one nearest
+  // 10% is taken. Newton steps refine it, falling back to bisection whenever a
+  // step leaves the bracket, so it cannot diverge.
+  function solveRate(flows) {
+    if (!flows.some((f) => f.amount > 0) || !flows.some((f) => f.amount < 0)) return null;
+
+    let bracket = null;
+    for (let i = 1; i < RATE_GRID.length; i++) {
+      const lo = RATE_GRID[i - 1], hi = RATE_GRID[i];
+      if (Math.sign(npv(lo, flows)) === Math.sign(npv(hi, flows))) continue;
+      const distance = Math.abs((lo + hi) / 2 - 0.1);
+      if (!bracket || distance < bracket.distance) bracket = { lo, hi, distance };
+    }
+    if (!bracket) return null;
+
+    let { lo, hi } = bracket;
+    let fLo = npv(lo, flows);
+    let x = (lo + hi) / 2;
+    for (let iter = 0; iter < 200; iter++) {
+      const fx = npv(x, flows);
+      if (Math.abs(fx) < 1e-9 * Math.max(1, Math.abs(flows[0].amount)) || hi - lo < 1e-12) return x;
+      if (Math.sign(fx) === Math.sign(fLo)) { lo = x; fLo = fx; } else { hi = x; }
+      const slope = npvSlope(x, flows);
+      const next = slope ? x - fx / slope : NaN;
+      x = next > lo && next < hi ? next : (lo + hi) / 2;
+    }
+    return x;
+  }
+
+  // IRR of evenly spaced flows ([amount at t = 0, 1, 2, ...]), as a percent
+  function irr(amounts) {
+    const rate = solveRate(amounts.map((amount, t) => ({ t, amount })));
+    return rate != null ? rate * 100 : null;
+  }
+
+  // XIRR of dated flows ([{ date: 'YYYY-MM-DD', amount }]), as a percent;
+  // like Excel, time runs on 365-day years from the first flow
+  function xirr(dated) {
+    if (!dated.length) return null;
+    const start = toDate(dated[0].date);
+    const rate = solveRate(dated.map((f) => ({ t: (toDate(f.date) - start) / DAY_MS / 365, amount: f.amount })));
+    return rate != null ? rate * 100 : null;
+  }
+
+  // Return earned buying the business at `entryValue` (an enterprise value,
+  // default the model's stated EV, else the recalculated one) on the valuation
+  // date, then receiving the forecast FCF and the terminal value at the end.
+  //   options: as valueDCF, plus entryValue and mode —
+  //     'xirr' (default) dates each flow at its period end and counts only the
+  //     remaining share of a stub; 'irr' spaces flows one period apart and
+  //     annualizes a sub-annual rate.
+  // Returns { rate (percent), mode, entryValue, flows } or null.
+  function impliedIRR(model, options = {}) {
+    const result = valueDCF(model, options);
+    if (!result) return null;
+    const entryValue = options.entryValue != null ? options.entryValue
+      : model.scalars.enterpriseValue != null ? model.scalars.enterpriseValue
+        : result.enterpriseValue;
+    const mode = options.mode === 'irr' ? 'irr' : 'xirr';
+
+    const periods = model.periods;
+    const flows = [{ date: result.valuationDate, amount: -entryValue }].concat(result.rows.map((r) => ({
+      date: periods[r.index].end,
+      amount: mode === 'xirr' ? r.cashFlow : r.fcf,
+    })));
+    flows[flows.length - 1].amount += result.terminalValue;
+
+    let rate;
+    if (mode === 'xirr') {
+      rate = xirr(flows);
+    } else {
+      const perYear = 12 / MONTHS[periods[result.rows[0].index].frequency];
+      const perPeriod = irr(flows.map((f) => f.amount));
+      rate = perPeriod != null ? (Math.pow(1 + perPeriod / 100, perYear) - 1) * 100 : null;
+    }
+    return rate != null ? { rate, mode, entryValue, flows } : null;
+  }
+
+  // Compare the recalculation with the values the workbook states. Each line:
+  // { key, parsed, computed, diff, diffPct, agrees, derived } — `derived` marks
+  // a parsed value the parser itself back-solved rather than read.
+  function reconcile(model, result) {
+    const sources = (model.sources && model.sources.scalars) || {};
+    return ['enterpriseValue', 'pvFCF', 'pvTerminal', 'terminalValue'].map((key) => {
+      const parsed = model.scalars[key];
+      const computed = result ? result[key] : null;
+      if (parsed == null || computed == null) {
+        return { key, parsed: parsed != null ? parsed : null, computed, diff: null, diffPct: null, agrees: null, derived: false };
+      }
+      const diff = computed - parsed;
+      const diffPct = parsed ? (diff / Math.abs(parsed)) * 100 : null;
+      return {
+        key,
+        parsed,
+        computed,
+        diff,
+        diffPct,
+        agrees: Math.abs(diff) <= RECONCILE_TOLERANCE * Math.max(Math.abs(parsed), Math.abs(computed)),
+        derived: !!(sources[key] && sources[key].derived),
+      };
+    });
+  }
+
+  // ────────────────────────────────────────────────
+  //  SIMULATION
+  // ────────────────────────────────────────────────
+
+  const SIMULATION_DRIVERS = ['wacc', 'terminalGrowth', 'revenueGrowth', 'ebitdaMargin'];
+  const PERCENTILES = [5, 10, 25, 50, 75, 90, 95];
+
+  // Small seeded generator (mulberry32), so a run can be repeated
+  function seededRandom(seed) {
+    let a = seed >>> 0;
+    return function () {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = Math.imul(a ^ (a >>> 15), 1 | a);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // One draw from { type: 'normal', mean, sd }, { type: 'triangular', min,
+  // mode, max } or { type: 'uniform', min, max }
+  function sample(dist, random) {
+    switch (dist.type) {
+      case 'normal': {
+        // Box–Muller; 1 − u keeps the log finite
+        const u = 1 - random();
+        return dist.mean + dist.sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+      }
+      case 'triangular': {
+        const { min, mode, max } = dist;
+        if (max <= min) return min;
+        const u = random();
+        const split = (mode - min) / (max - min);
+        return u < split
+          ? min + Math.sqrt(u * (max - min) * (mode - min))
+          : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+      }
+      case 'uniform':
+        return dist.min + random() * (dist.max - dist.min);
+      default:
+        throw new Error('Unknown distribution: ' + dist.type);
+    }
+  }
+
+  // p-th percentile (0–100) of ascending values, interpolating between ranks
+  function percentile(sorted, p) {
+    if (!sorted.length) return null;
+    const rank = (p / 100) * (sorted.length - 1);
+    const lo = Math.floor(rank);
+    const hi = Math.ceil(rank);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo);
+  }
+
+  // { values (ascending), mean, sd, min, max, percentiles: { 5: …, 95: … } }
+  function summarize(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const n = sorted.length;
+    const mean = sorted.reduce((a, b) => a + b, 0) / n;
+    const variance = sorted.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / n;
+    const percentiles = {};
+    for (const p of PERCENTILES) percentiles[p] = percentile(sorted, p);
+    return { values: sorted, mean, sd: Math.sqrt(variance), min: sorted[0], max: sorted[n - 1], percentiles };
+  }
+
+  // Equal-width bins over ascending values: [{ from, to, count }]
+  function histogram(sorted, bins = 30) {
+    if (!sorted.length) return [];
+    const min = sorted[0];
+    const width = (sorted[sorted.length - 1] - min) / bins || 1;
+    const out = Array.from({ length: bins }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, count: 0 }));
+    for (const v of sorted) out[Math.min(bins - 1, Math.floor((v - min) / width))].count++;
+    return out;
+  }
+
+  // Share (0–1) of ascending values above `target`
+  function probabilityAbove(sorted, target) {
+    let lo = 0;
+    let hi = sorted.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (sorted[mid] <= target) lo = mid + 1;
+      else hi = mid;
+    }
+    return sorted.length ? (sorted.length - lo) / sorted.length : null;
+  }
+
+  // Monte Carlo valuation: a full DCF per iteration with the drivers drawn
+  // from their distributions (percent units).
+  //   options: as valueDCF, plus
+  //     distributions: { wacc, terminalGrowth, revenueGrowth, ebitdaMargin } — any
+  //                    subset; the rest stay at the model's values
+  //     iterations (5000), seed (a repeatable run; random otherwise)
+  //     bridge: { adjustment, shares } — EV to equity, for values per share
+  //     onProgress(done, iterations)
+  // A draw the DCF cannot price (WACC ≤ growth) is rejected.
+  // Returns { iterations, rejected, enterpriseValue, perShare } with each value
+  // set summarized, or null when no draw could be priced.
+  function simulate(model, options = {}) {
+    const distributions = options.distributions || {};
+    const iterations = options.iterations || 5000;
+    const random = options.seed != null ? seededRandom(options.seed) : Math.random;
+    const bridge = options.bridge;
+    const ev = [];
+    const perShare = [];
+    let rejected = 0;
+
+    for (let n = 0; n < iterations; n++) {
+      const draw = {};
+      for (const key of SIMULATION_DRIVERS) {
+        if (distributions[key]) draw[key] = sample(distributions[key], random);
+      }
+      const flexed = flexModel(model, { revenueGrowth: draw.revenueGrowth, ebitdaMargin: draw.ebitdaMargin });
+      const result = valueDCF(flexed, { ...options, wacc: draw.wacc, terminalGrowth: draw.terminalGrowth });
+      if (!result || !isFinite(result.enterpriseValue)) {
+        rejected++;
+      } else {
+        ev.push(result.enterpriseValue);
+        if (bridge && bridge.shares) perShare.push((result.enterpriseValue + bridge.adjustment) / bridge.shares);
+      }
+      if (options.onProgress && (n + 1) % 500 === 0) options.onProgress(n + 1, iterations);
+    }
+
+    if (!ev.length) return null;
+    return {
+      iterations,
+      rejected,
+      enterpriseValue: summarize(ev),
+      perShare: perShare.length ? summarize(perShare) : null,
+    };
+  }
+
+  // ────────────────────────────────────────────────
+  //  SENSITIVITY
+  // ────────────────────────────────────────────────
+
+  const SENSITIVITY_DRIVERS = ['wacc', 'terminalGrowth', 'exitMultiple', 'revenueGrowth', 'ebitdaMargin'];
+
+  // Enterprise value over a grid of two drivers.
+  //   rows, cols: { driver (one of SENSITIVITY_DRIVERS), values: [...] } —
+  //               revenue growth and EBITDA margin as one rate over the forecast
+  //   options:    as for valueDCF
+  // An exit multiple axis values the terminal by exit, a terminal growth axis
+  // by perpetuity growth. Returns values[row][col], null where it can't be valued.
+  function sensitivityGrid(model, rows, cols, options = {}) {
+    const axes = [rows.driver, cols.driver];
+    for (const driver of axes) {
+      if (!SENSITIVITY_DRIVERS.includes(driver)) throw new Error(`Unknown driver: ${driver}`);
+    }
+    if (rows.driver === cols.driver) throw new Error('Pick two different drivers');
+    if (axes.includes('exitMultiple') && axes.includes('terminalGrowth')) {
+      throw new Error('Terminal growth and exit multiple are alternative terminal values');
+    }
+    const method = axes.includes('exitMultiple') ? 'exit' : axes.includes('terminalGrowth') ? 'growth' : options.terminalMethod;
+
+    return rows.values.map((r) => cols.values.map((c) => {
+      const drivers = { [rows.driver]: r, [cols.driver]: c };
+      const flexed = flexModel(model, { revenueGrowth: drivers.revenueGrowth, ebitdaMargin: drivers.ebitdaMargin });
+      const result = valueDCF(flexed, {
+        ...options,
+        terminalMethod: method,
+        wacc: drivers.wacc != null ? drivers.wacc : options.wacc,
+        terminalGrowth: drivers.terminalGrowth,
+        exitMultiple: drivers.exitMultiple,
+      });
+      return result && isFinite(result.enterpriseValue) ? result.enterpriseValue : null;
+    }));
+  }
+
+  // With no forecast to discount, a stated enterprise value rescaled by the
+  // Gordon multiple (1 + g) / (WACC − g) over WACC rows × terminal growth columns.
+  //   base: { wacc, terminalGrowth } the stated value was priced at
+  function gordonGrid(enterpriseValue, base, waccs, growths) {
+    const multiple = (wacc, tg) => (1 + tg / 100) / ((wacc - tg) / 100);
+    const baseMultiple = multiple(base.wacc, base.terminalGrowth);
+    return waccs.map((wacc) => growths.map((tg) => (wacc > tg ? enterpriseValue * (multiple(wacc, tg) / baseMultiple) : null)));
+  }
+
+  // ────────────────────────────────────────────────
+  //  TORNADO
+  // ────────────────────────────────────────────────
+
+  const TORNADO_DRIVERS = ['wacc', 'terminalGrowth', 'revenueGrowth', 'ebitdaMargin', 'capexPct', 'taxRate', 'nwcPct'];
+
+  // The model's own forecast path of a rate, by period index (percent):
+  // annualized revenue growth or EBITDA margin
+  function forecastPath(model, driver) {
+    const { revenue, ebitda } = model.series;
+    return model.periods.map((p, i) => {
+      if (!revenue || revenue[i] == null) return null;
+      if (driver === 'ebitdaMargin') return ebitda && ebitda[i] != null && revenue[i] ? (ebitda[i] / revenue[i]) * 100 : null;
+      if (!(revenue[i - 1] > 0) || !(revenue[i] > 0)) return null;
+      return (Math.pow(revenue[i] / revenue[i - 1], 12 / MONTHS[p.frequency]) - 1) * 100;
+    });
+  }
+
+  // A copy of the model with forecast FCF changed by moving a cash item
+  // `delta` percentage points: capex or net working capital as a share of
+  // revenue (NWC investment follows the change in revenue), or the tax rate on
+  // positive EBIT. Null without the rows it needs.
+  function shiftCashFlows(model, item, delta) {
+    const { revenue, ebit, fcf } = model.series;
+    if (!fcf || !revenue || (item === 'taxRate' && !ebit)) return null;
+    const shifted = fcf.slice();
+    for (const i of forecastIndexes(model)) {
+      if (shifted[i] == null || revenue[i] == null) continue;
+      if (item === 'capexPct') shifted[i] -= revenue[i] * delta / 100;
+      else if (item === 'taxRate' && ebit[i] != null) shifted[i] -= Math.max(ebit[i], 0) * delta / 100;
+      else if (item === 'nwcPct' && revenue[i - 1] != null) shifted[i] -= (revenue[i] - revenue[i - 1]) * delta / 100;
+    }
+    return { ...model, series: { ...model.series, fcf: shifted } };
+  }
+
+  // EV with each driver moved down and up by its range, one at a time.
+  //   ranges:  { driver: ± amount } — percentage points, for TORNADO_DRIVERS;
+  //            drivers left out are skipped
+  //   options: as valueDCF
+  // Growth and margin move every forecast period's own rate. Returns { base,
+  // rows: [{ driver, range, low, high, swing }] } with the largest swing first —
+  // low and high are EV at −range and +range, null where that can't be valued —
+  // or null when the model can't be valued.
+  function tornado(model, ranges, options = {}) {
+    const base = valueDCF(model, options);
+    if (!base) return null;
+
+    const at = (driver, delta) => {
+      let flexed = model;
+      let settings = options;
+      if (driver === 'wacc') settings = { ...options, wacc: base.wacc + delta };
+      else if (driver === 'terminalGrowth') settings = { ...options, terminalMethod: 'growth', terminalGrowth: base.terminalGrowth + delta };
+      else if (driver === 'revenueGrowth' || driver === 'ebitdaMargin') {
+        const path = forecastPath(model, driver).map((v) => (v != null ? v + delta : null));
+        flexed = flexModel(model, { [driver]: path });
+      } else {
+        flexed = shiftCashFlows(model, driver, delta);
+      }
+      const result = flexed && valueDCF(flexed, settings);
+      return result && isFinite(result.enterpriseValue) ? result.enterpriseValue : null;
+    };
+
+    const rows = [];
+    for (const driver of TORNADO_DRIVERS) {
+      const range = ranges[driver];
+      if (!(range > 0)) continue;
+      if (driver === 'terminalGrowth' && base.terminalMethod !== 'growth') continue;
+      if ((driver === 'revenueGrowth' || driver === 'ebitdaMargin') && !forecastPath(model, driver).some((v) => v != null)) continue;
+      const low = at(driver, -range);
+      const high = at(driver, range);
+      if (low == null && high == null) continue;
+      const swing = Math.abs((high != null ? high : base.enterpriseValue) - (low != null ? low : base.enterpriseValue));
+      rows.push({ driver, range, low, high, swing });
+    }
+    rows.sort((a, b) => b.swing - a.swing);
+    return { base: base.enterpriseValue, rows };
+  }
+
+  // ────────────────────────────────────────────────
+  //  REVERSE DCF
+  // ────────────────────────────────────────────────
+
+  // Rates searched for each driver (percent); terminal growth up to just under WACC
+  const REVERSE_RANGES = {
+    revenueGrowth: [-50, 100],
+    ebitdaMargin: [-50, 100],
+    terminalGrowth: [-10, null],
+  };
+
+  // The value of one driver (percent) at which the DCF gives `targetEV`:
+  // revenue growth or EBITDA margin as one rate over the forecast (as
+  // flexModel), or terminal growth, valuing the terminal by perpetuity growth.
+  //   options: as valueDCF
+  // The root is bisected within REVERSE_RANGES. Returns { value, model (the
+  // forecast at that value), result (valueDCF's) } or null when no rate in the
+  // range reaches the target.
+  function impliedDriver(model, driver, targetEV, options = {}) {
+    if (!REVERSE_RANGES[driver]) throw new Error(`Unknown driver: ${driver}`);
+    const wacc = options.wacc != null ? options.wacc : model.scalars.wacc;
+    if (wacc == null || targetEV == null || !isFinite(targetEV)) return null;
+
+    const at = (x) => {
+      if (driver === 'terminalGrowth') {
+        return { value: x, model, result: valueDCF(model, { ...options, terminalMethod: 'growth', terminalGrowth: x }) };
+      }
+      const flexed = flexModel(model, { [driver]: x });
+      return { value: x, model: flexed, result: valueDCF(flexed, options) };
+    };
+    const gap = (point) => (point.result ? point.result.enterpriseValue - targetEV : null);
+
+    let lo = at(REVERSE_RANGES[driver][0]);
+    let hi = at(REVERSE_RANGES[driver][1] != null ? REVERSE_RANGES[driver][1] : wacc - 0.01);
+    const gLo = gap(lo), gHi = gap(hi);
+    if (gLo == null || gHi == null) return null;
+    if (gLo === 0) return lo;
+    if (gHi === 0) return hi;
+    if (Math.sign(gLo) === Math.sign(gHi)) return null;
+
+    for (let iter = 0; iter < 100 && hi.value - lo.value > 1e-7; iter++) {
+      const mid = at((lo.value + hi.value) / 2);
+      const g = gap(mid);
+      if (g == null) return null;
+      if (g === 0) return mid;
+      if (Math.sign(g) === Math.sign(gLo)) lo = mid; else hi = mid;
+    }
+    return Math.abs(gap(lo)) < Math.abs(gap(hi)) ? lo : hi;
+  }
+
+  return {
+    defaultValuationDate,
+    terminalMethod,
+    valueDCF,
+    forecastIndexes,
+    flexModel,
+    probabilityWeighted,
+    buildWACC,
+    checkWACC,
+    irr,
+    xirr,
+    impliedIRR,
+    reconcile,
+    simulate,
+    histogram,
+    probabilityAbove,
+    SENSITIVITY_DRIVERS,
+    sensitivityGrid,
+    gordonGrid,
+    impliedDriver,
+    TORNADO_DRIVERS,
+    tornado,
+  };
+});
@@ -0,0 +1,575 @@
+// ============================================================
+//  report.js — Dashboard report for a parsed model, rendered on
+//  the server: a paginated PDF, or a zip of chart PNGs
+// ============================================================
+
+const { Worker, isMainThread, parentPort } = require('worker_threads');
+const PDFDocument = require('pdfkit');
+const JSZip = require('jszip');
+const { createCanvas } = require('@napi-rs/canvas');
+const { Chart, registerables } = require('chart.js');
+const { equityBridge, parseFile, readWorkbook, diagnoseDCF } = require('./public/parser');
+const { valueDCF, impliedIRR, sensitivityGrid, gordonGrid, tornado, simulate, histogram } = require('./public/valuation');
+const {
+  formatter, describeSource, periodLabels, waterfallSteps, tornadoLabel, TORNADO_DEFAULTS,
+  defaultSensitivityTable, axisValues, axisTick, axesCorner,
+} = require('./public/format');
+
+Chart.register(...registerables);
+
+// Printed pages are light, unlike the dashboard
+const INK = '#1f2330';
+const MUTED = '#6b7080';
+const GRID = '#e3e6ee';
+
+// ── Summary cards ──
+
+function summaryCards(model, fmt) {
+  const s = model.scalars;
+  const sources = model.sources ? model.sources.scalars : {};
+  const irr = impliedIRR(model);
+  // Without a stated EV, the engine's stands in, marked as derived
+  const computed = s.enterpriseValue == null ? valueDCF(model) : null;
+  return [
+    {
+      label: 'Enterprise Value',
+      value: fmt(computed ? computed.enterpriseValue : s.enterpriseValue),
+      source: computed ? {
+        derived: true,
+        formula: `PV of FCF + PV of Terminal Value (${computed.terminalMethod === 'exit' ? 'exit multiple' : 'perpetuity growth'}), recalculated`,
+      } : sources.enterpriseValue,
+    },
+    { label: 'Equity Value / Share', value: fmt(s.valuePerShare), source: sources.valuePerShare || sources.equityValue },
+    { label: 'WACC', value: s.wacc != null ? s.wacc.toFixed(1) + '%' : '--', source: sources.wacc },
+    { label: 'Terminal Growth', value: s.terminalGrowth != null ? s.terminalGrowth.toFixed(1) + '%' : '--', source: sources.terminalGrowth },
+    { label: 'Terminal Value', value: fmt(s.terminalValue), source: sources.terminalValue },
+    { label: 'Exit Multiple', value: s.exitMultiple != null ? s.exitMultiple.toFixed(1) + 'x' : '--', source: sources.exitMultiple },
+    {
+      label: 'Implied IRR',
+      value: irr ? irr.rate.toFixed(1) + '%' : '--',
+      source: irr ? { derived: true, formula: `${irr.mode.toUpperCase()} of −${fmt(irr.entryValue)} entry, FCFs + Terminal Value` } : null,
+    },
+  ];
+}
+
+// ── Charts ──
+
+const scales = (fmt, title) => ({
+  x: { ticks: { color: MUTED }, grid: { color: GRID } },
+  y: { ticks: { color: MUTED, callback: (v) => fmt(v) }, grid: { color: GRID }, title: { display: !!title, text: title || '', color: MUTED } },
+});
+const legend = { labels: { color: INK, font: { size: 12 } } };
+
+function revenueFCFChart(model, fmt) {
+  const { revenue, fcf } = model.series;
+  if (!revenue && !fcf) return null;
+  const datasets = [];
+  if (revenue) datasets.push({ label: 'Revenue', data: revenue, backgroundColor: 'rgba(79, 140, 255, 0.6)', type: 'bar', order: 2 });
+  if (fcf) {
+    datasets.push({
+      label: 'Free Cash Flow', data: fcf, borderColor: '#34d399', backgroundColor: 'rgba(52, 211, 153, 0.15)',
+      borderWidth: 2, tension: 0.3, fill: true, type: 'line', order: 1, yAxisID: revenue ? 'y1' : 'y',
+    });
+  }
+  const axes = scales(fmt, 'Revenue');
+  if (revenue && fcf) axes.y1 = { ...axes.y, position: 'right', title: { display: true, text: 'FCF', color: MUTED }, grid: { drawOnChartArea: false } };
+  return { type: 'bar', data: { labels: periodLabels(model), datasets }, options: { plugins: { legend }, scales: axes } };
+}
+
+function marginsChart(model) {
+  const keys = [
+    { key: 'grossMargin', label: 'Gross Margin', color: '#4f8cff' },
+    { key: 'ebitdaMargin', label: 'EBITDA Margin', color: '#34d399' },
+    { key: 'netMargin', label: 'Net Margin', color: '#a78bfa' },
+  ];
+  const datasets = keys.filter((k) => model.series[k.key]).map((k) => ({
+    label: k.label, data: model.series[k.key], borderColor: k.color, borderWidth: 2, tension: 0.3, pointRadius: 4,
+  }));
+  if (!datasets.length) return null;
+  return { type: 'line', data: { labels: periodLabels(model), datasets }, options: { plugins: { legend }, scales: scales((v) => v + '%', 'Margin %') } };
+}
+
+// The latest period walked down the income statement, or from EBIT to a
+// derived unlevered FCF through its build-up
+function waterfallChart(model, fmt) {
+  const idx = model.years.length - 1;
+  const { steps } = waterfallSteps(model, idx);
+  if (steps.length < 2) return null;
+
+  const values = steps.map((s) => s.value);
+  const bars = values.map((v, i) => (i === 0 || i === values.length - 1 ? [0, v] : [Math.min(values[i - 1], v), Math.max(values[i - 1], v)]));
+  const colors = values.map((v, i) => (i === 0 ? '#4f8cff' : i === values.length - 1 ? '#a78bfa' : v >= values[i - 1] ? '#34d399' : '#f87171'));
+  return {
+    type: 'bar',
+    data: { labels: steps.map((s) => s.label), datasets: [{ label: periodLabels(model)[idx], data: bars, backgroundColor: colors }] },
+    options: { plugins: { legend }, scales: scales(fmt) },
+  };
+}
+
+function valuationChart(model) {
+  const byMethod = ['growth', 'exit'].map((terminalMethod) => valueDCF(model, { terminalMethod }));
+  let datasets;
+  if (byMethod[0] && byMethod[1]) {
+    datasets = byMethod.map((v) => ({ label: v.terminalMethod, data: [Math.abs(v.pvFCF), Math.abs(v.pvTerminal)], backgroundColor: ['#4f8cff', '#34d399'] }));
+  } else {
+    const s = model.scalars;
+    if (s.pvFCF == null && s.pvTerminal == null) return null;
+    datasets = [{ data: [Math.abs(s.pvFCF || 0), Math.abs(s.pvTerminal || 0)], backgroundColor: ['#4f8cff', '#34d399'] }];
+  }
+  return {
+    type: 'doughnut',
+    data: { labels: ['PV of FCFs', 'PV of Terminal Value'], datasets },
+    options: { plugins: { legend: { ...legend, position: 'bottom' } } },
+  };
+}
+
+function bridgeChart(model, fmt) {
+  const bridge = equityBridge(model.scalars);
+  if (!bridge || bridge.steps.length < 2) return null;
+  const labels = [];
+  const bars = [];
+  const colors = [];
+  let running = 0;
+  bridge.steps.forEach((step, i) => {
+    labels.push(i === 0 ? step.label : (step.value < 0 ? 'Less: ' : 'Plus: ') + step.label);
+    bars.push(i === 0 ? [0, step.value] : [running, running + step.value]);
+    colors.push(i === 0 ? '#4f8cff' : step.value < 0 ? '#f87171' : '#34d399');
+    running += step.value;
+  });
+  labels.push('Equity Value');
+  bars.push([0, bridge.equityValue]);
+  colors.push('#a78bfa');
+  const perShare = bridge.perShare != null ? ` · ${fmt(bridge.perShare)} per share` : '';
+  return {
+    type: 'bar',
+    data: { labels, datasets: [{ label: `Equity value ${fmt(bridge.equityValue)}${perShare}`, data: bars, backgroundColor: colors }] },
+    options: { plugins: { legend }, scales: scales(fmt) },
+  };
+}
+
+function growthChart(model) {
+  const metrics = [
+    { key: 'revenue', label: 'Revenue', color: '#4f8cff' },
+    { key: 'ebitda', label: 'EBITDA', color: '#34d399' },
+    { key: 'fcf', label: 'FCF', color: '#fbbf24' },
+    { key: 'netIncome', label: 'Net Income', color: '#a78bfa' },
+  ];
+  const datasets = [];
+  for (const m of metrics) {
+    const vals = model.series[m.key];
+    if (!vals) continue;
+    const growth = vals.slice(1).map((v, i) => (v != null && vals[i] ? ((v - vals[i]) / Math.abs(vals[i])) * 100 : null));
+    if (growth.some((g) => g != null)) datasets.push({ label: m.label, data: growth, borderColor: m.color, borderWidth: 2, tension: 0.3 });
+  }
+  if (!datasets.length) return null;
+  return {
+    type: 'line',
+    data: { labels: periodLabels(model).slice(1), datasets },
+    options: { plugins: { legend }, scales: scales((v) => v + '%', 'YoY Growth %') },
+  };
+}
+
+// At the dashboard's default ranges
+const TORNADO_RANGES = Object.fromEntries(Object.entries(TORNADO_DEFAULTS).map(([key, d]) => [key, d.range]));
+
+function tornadoChart(model, fmt) {
+  const result = tornado(model, TORNADO_RANGES);
+  if (!result || !result.rows.length) return null;
+  const bars = (side) => result.rows.map((r) => (r[side] != null ? [result.base, r[side]] : null));
+  const axes = scales(fmt);
+  return {
+    type: 'bar',
+    data: {
+      labels: result.rows.map(tornadoLabel),
+      datasets: [
+        { label: 'Driver lowered', data: bars('low'), backgroundColor: 'rgba(251, 191, 36, 0.8)', grouped: false },
+        { label: 'Driver raised', data: bars('high'), backgroundColor: 'rgba(79, 140, 255, 0.8)', grouped: false },
+      ],
+    },
+    options: { indexAxis: 'y', plugins: { legend }, scales: { x: { ...axes.y, beginAtZero: false }, y: axes.x } },
+  };
+}
+
+// ── Monte Carlo and football field ──
+
+// The dashboard's starting distributions (WACC ±1 sd, terminal growth ±0.5),
+// seeded so a report is the same each time it is exported
+const MC_ITERATIONS = 5000;
+const MC_SEED = 1;
+
+function monteCarlo(model) {
+  if (!valueDCF(model)) return null;
+  const s = model.scalars;
+  const distributions = {};
+  if (s.wacc != null) distributions.wacc = { type: 'normal', mean: s.wacc, sd: 1 };
+  if (s.terminalGrowth != null) {
+    distributions.terminalGrowth = { type: 'triangular', min: s.terminalGrowth - 0.5, mode: s.terminalGrowth, max: s.terminalGrowth + 0.5 };
+  }
+  if (!Object.keys(distributions).length) return null;
+  return simulate(model, { distributions, iterations: MC_ITERATIONS, seed: MC_SEED });
+}
+
+function monteCarloChart(result, fmt) {
+  if (!result) return null;
+  const p = result.enterpriseValue.percentiles;
+  const bins = histogram(result.enterpriseValue.values, 30);
+  const colors = bins.map((b) => {
+    const mid = (b.from + b.to) / 2;
+    if (mid >= p[25] && mid <= p[75]) return 'rgba(79, 140, 255, 0.85)';
+    if (mid >= p[5] && mid <= p[95]) return 'rgba(79, 140, 255, 0.5)';
+    return 'rgba(79, 140, 255, 0.2)';
+  });
+  return {
+    type: 'bar',
+    data: {
+      labels: bins.map((b) => fmt((b.from + b.to) / 2)),
+      datasets: [{
+        label: 'Enterprise value (P25–P75 dark, P5–P95 mid)',
+        data: bins.map((b) => b.count),
+        backgroundColor: colors,
+        borderWidth: 0,
+        barPercentage: 1,
+        categoryPercentage: 1,
+      }],
+    },
+    options: { plugins: { legend }, scales: scales((v) => v, 'Draws') },
+  };
+}
+
+const FOOTBALL_COLORS = ['#4f8cff', '#34d399', '#fbbf24', '#a78bfa', '#f87171', '#22d3ee'];
+
+// The DCF ranges of the default sensitivity tables and the simulated P10–P90
+function footballChart(model, fmt, mc) {
+  const ranges = [];
+  for (const [terminal, label] of [['terminalGrowth', 'DCF – perpetuity growth'], ['exitMultiple', 'DCF – exit multiple']]) {
+    if (terminal === 'exitMultiple' && !model.series.ebitda) continue;
+    const table = sensitivityEV(model, terminal);
+    const values = table ? table.grid.flat().filter((v) => v != null) : [];
+    if (values.length) ranges.push({ label, low: Math.min(...values), high: Math.max(...values) });
+  }
+  if (mc) ranges.push({ label: 'Monte Carlo (P10–P90)', low: mc.enterpriseValue.percentiles[10], high: mc.enterpriseValue.percentiles[90] });
+  if (!ranges.length) return null;
+  const axes = scales(fmt);
+  return {
+    type: 'bar',
+    data: {
+      labels: ranges.map((r) => r.label),
+      datasets: [{
+        label: 'Enterprise value',
+        data: ranges.map((r) => [r.low, r.high]),
+        backgroundColor: ranges.map((r, i) => FOOTBALL_COLORS[i % FOOTBALL_COLORS.length] + 'b3'),
+        borderColor: ranges.map((r, i) => FOOTBALL_COLORS[i % FOOTBALL_COLORS.length]),
+        borderWidth: 1,
+      }],
+    },
+    options: { indexAxis: 'y', plugins: { legend: { display: false } }, scales: { x: { ...axes.y, beginAtZero: false }, y: axes.x } },
+  };
+}
+
+// Ranges entered on the dashboard are not saved with the file
+const FOOTBALL_NOTE = 'Comparable company, precedent transaction and 52-week ranges are entered on the dashboard and are not included.';
+const MC_NOTE = `${MC_ITERATIONS.toLocaleString('en-US')} draws at the dashboard's default distributions: WACC normal (sd 1 pp), terminal growth triangular (±0.5 pp).`;
+
+// Every chart the model supports: [{ key, title, config, note? }]
+function reportCharts(model) {
+  const fmt = formatter((model.units && model.units.symbol) || '$');
+  const mc = monteCarlo(model);
+  return [
+    { key: 'revenue-fcf', title: 'Revenue & Free Cash Flow Trend', config: revenueFCFChart(model, fmt) },
+    { key: 'margins', title: 'Margin Analysis', config: marginsChart(model) },
+    { key: 'waterfall', title: 'Cash Flow Waterfall', config: waterfallChart(model, fmt) },
+    { key: 'valuation', title: 'DCF Valuation Breakdown', config: valuationChart(model) },
+    { key: 'bridge', title: 'Enterprise to Equity Bridge', config: bridgeChart(model, fmt) },
+    { key: 'growth', title: 'Year-over-Year Growth Rates', config: growthChart(model) },
+    { key: 'tornado', title: 'Value Drivers', config: tornadoChart(model, fmt) },
+    { key: 'football-field', title: 'Valuation Summary', config: footballChart(model, fmt, mc), note: FOOTBALL_NOTE },
+    { key: 'monte-carlo', title: 'Monte Carlo Simulation', config: monteCarloChart(mc, fmt), note: MC_NOTE },
+  ].filter((c) => c.config);
+}
+
+// PNG of a chart config at width × height CSS pixels, drawn at `scale`
+function renderChart(config, { width = 1200, height = 675, scale = 2 } = {}) {
+  const canvas = createCanvas(width * scale, height * scale);
+  const chart = new Chart(canvas, {
+    ...config,
+    options: { ...config.options, responsive: false, animation: false, devicePixelRatio: scale },
+    plugins: [{
+      id: 'whiteBackground',
+      beforeDraw(c) {
+        c.ctx.save();
+        c.ctx.fillStyle = '#ffffff';
+        c.ctx.fillRect(0, 0, c.width, c.height);
+        c.ctx.restore();
+      },
+    }],
+  });
+  const png = canvas.toBuffer('image/png');
+  chart.destroy();
+  return png;
+}
+
+// ── Sensitivity (the dashboard's default table) ──
+
+// EV over WACC × a terminal driver at the dashboard's default steps:
+// { axes, waccs, terminals, grid }, or null. Exit multiples centre on the stated
+// multiple, else the one implied by the perpetuity-growth value.
+function sensitivityEV(model, terminal) {
+  const s = model.scalars;
+  let centre = s[terminal];
+  if (terminal === 'exitMultiple' && centre == null) {
+    const result = valueDCF(model);
+    centre = result ? result.impliedMultiple : null;
+  }
+  if (s.wacc == null || centre == null) return null;
+  const axes = defaultSensitivityTable({ [terminal]: centre });
+  const waccs = axisValues(s.wacc, axes.rows);
+  const terminals = axisValues(centre, axes.cols);
+  let grid = sensitivityGrid(model, { driver: 'wacc', values: waccs }, { driver: terminal, values: terminals });
+
+  // No forecast to discount: scale the stated EV by the Gordon multiple
+  if (!valueDCF(model) && terminal === 'terminalGrowth' && s.enterpriseValue != null && s.wacc > s.terminalGrowth) {
+    grid = gordonGrid(s.enterpriseValue, s, waccs, terminals);
+  }
+  return grid.flat().some((v) => v != null) ? { axes, waccs, terminals, grid } : null;
+}
+
+// { corner, cols, rows: [{ label, cells }] } of EV over WACC × terminal growth
+// (× exit multiple for exit-only models), or null
+function sensitivityTable(model, fmt) {
+  const s = model.scalars;
+  const terminal = s.terminalGrowth != null ? 'terminalGrowth' : s.exitMultiple != null ? 'exitMultiple' : null;
+  const table = terminal && sensitivityEV(model, terminal);
+  if (!table) return null;
+  const base = (table.axes.rows.count - 1) / 2;
+  return {
+    corner: axesCorner(table.axes),
+    cols: table.terminals.map((t) => axisTick(terminal, t)),
+    rows: table.waccs.map((w, r) => ({ label: axisTick('wacc', w), cells: table.grid[r].map((v) => fmt(v)), base: r === base })),
+  };
+}
+
+// ── PDF ──
+
+const PAGE = { size: 'A4', layout: 'landscape', margin: 40 };
+
+// Rows of text cells under a header row, continued on new pages as needed
+function drawTable(doc, headers, rows, widths, { fontSize = 8, highlight } = {}) {
+  const rowHeight = fontSize + 8;
+  const left = doc.page.margins.left;
+  const drawRow = (cells, bold, shade) => {
+    if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage(PAGE);
+      drawRow(headers, true, '#f1f3f8');
+    }
+    const y = doc.y;
+    let x = left;
+    if (shade) doc.rect(left, y, widths.reduce((a, b) => a + b, 0), rowHeight).fill(shade);
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(fontSize).fillColor(INK);
+    cells.forEach((cell, i) => {
+      doc.text(String(cell), x + 3, y + 4, { width: widths[i] - 6, height: rowHeight, ellipsis: true, lineBreak: false });
+      x += widths[i];
+    });
+    doc.moveTo(left, y + rowHeight).lineTo(x, y + rowHeight).strokeColor(GRID).lineWidth(0.5).stroke();
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+  drawRow(headers, true, '#f1f3f8');
+  rows.forEach((row, i) => drawRow(row, false, highlight && highlight(i) ? '#e8f0ff' : null));
+  doc.moveDown();
+}
+
+function heading(doc, text) {
+  doc.font('Helvetica-Bold').fontSize(14).fillColor(INK).text(text);
+  doc.moveDown(0.5);
+}
+
+function drawSummary(doc, cards) {
+  const perRow = 4;
+  const gap = 10;
+  const width = (doc.page.width - doc.page.margins.left - doc.page.margins.right - gap * (perRow - 1)) / perRow;
+  const height = 70;
+  const top = doc.y;
+  cards.forEach((card, i) => {
+    const x = doc.page.margins.left + (i % perRow) * (width + gap);
+    const y = top + Math.floor(i / perRow) * (height + gap);
+    doc.roundedRect(x, y, width, height, 6).strokeColor(GRID).lineWidth(1).stroke();
+    doc.font('Helvetica-Bold').fontSize(8).fillColor(MUTED).text(card.label.toUpperCase(), x + 10, y + 10, { width: width - 20 });
+    doc.font('Helvetica-Bold').fontSize(18).fillColor(INK).text(card.value, x + 10, y + 24, { width: width - 20 });
+    doc.font('Helvetica').fontSize(7).fillColor(MUTED).text(describeSource(card.source) || '', x + 10, y + 50, { width: width - 20, height: 16, ellipsis: true });
+  });
+  doc.x = doc.page.margins.left;
+  doc.y = top + Math.ceil(cards.length / perRow) * (height + gap) + 10;
+}
+
+// Charts two to a page, side by side
+function drawCharts(doc, charts) {
+  const gap = 20;
+  const width = (doc.page.width - doc.page.margins.left - doc.page.margins.right - gap) / 2;
+  const height = width * 9 / 16;
+  charts.forEach((chart, i) => {
+    if (i % 2 === 0) doc.addPage(PAGE);
+    const x = doc.page.margins.left + (i % 2) * (width + gap);
+    const y = doc.page.margins.top;
+    doc.font('Helvetica-Bold').fontSize(11).fillColor(INK).text(chart.title, x, y, { width });
+    doc.image(renderChart(chart.config, { scale: 1.5 }), x, y + 20, { width, height });
+    if (chart.note) doc.font('Helvetica').fontSize(8).fillColor(MUTED).text(chart.note, x, y + 28 + height, { width });
+  });
+}
+
+function drawDiagnostics(doc, diag) {
+  heading(doc, `Parse Diagnostics · confidence ${diag.confidence.score}% (${diag.confidence.level})`);
+  const notes = [
+    diag.conflicts && `${diag.conflicts} value conflict(s) between sheets`,
+    diag.formulaErrors && `${diag.formulaErrors} formula error(s)`,
+    diag.circularReferences && `${diag.circularReferences} cell(s) on circular references, read as 0`,
+    diag.ignoredPeriods.length && `${diag.ignoredPeriods.length} period(s) off the main axis ignored`,
+    diag.perShareWarning,
+  ].filter(Boolean);
+  if (notes.length) doc.font('Helvetica').fontSize(9).fillColor(MUTED).text(notes.join(' · ')).moveDown(0.5);
+
+  drawTable(doc, ['Sheet', 'Score', 'Period header', 'Layout', 'Series', 'Scalars', 'Used'], diag.sheets.map((sh) => [
+    sh.name, sh.score, sh.header || '--',
+    sh.orientation === 'columns' ? 'periods down' : sh.orientation ? 'periods across' : '--',
+    sh.series, sh.scalars, sh.used ? 'Yes' : sh.note || 'No',
+  ]), [180, 50, 120, 100, 60, 60, 190]);
+
+  drawTable(doc, ['Label', 'Cell', 'Metric', 'Pattern'], diag.matches.map((m) => [
+    m.label, `${m.sheet}!${m.cell}`, m.key, m.pattern,
+  ]), [250, 110, 150, 250]);
+
+  for (const [title, list, detail] of [
+    ['Ambiguous matches', diag.ambiguous, (a) => `${a.key}; ${a.alternatives.length ? 'also fits ' + a.alternatives.join(', ') : a.reason}`],
+    ['Ignored rows', diag.ignored, (i) => i.reason],
+  ]) {
+    if (!list.length) continue;
+    drawTable(doc, [`${title} (${list.length})`, 'Cell', 'Detail'], list.map((item) => [item.label, `${item.sheet}!${item.cell}`, detail(item)]), [250, 110, 400]);
+  }
+}
+
+// The report as a PDF buffer: cover with the summary cards, the charts, the
+// sensitivity table and the parse diagnostics
+function buildPDF(model, { filename, fileId }) {
+  const fmt = formatter((model.units && model.units.symbol) || '$');
+  const doc = new PDFDocument({ ...PAGE, info: { Title: `DCF Analysis — ${filename}` } });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  doc.font('Helvetica-Bold').fontSize(22).fillColor(INK).text('DCF Analysis');
+  doc.font('Helvetica').fontSize(12).fillColor(MUTED).text(filename);
+  const units = model.units || {};
+  doc.fontSize(9).text([
+    `Saved file #${fileId}`,
+    `generated ${new Date().toISOString().slice(0, 10)}`,
+    units.currency,
+    units.scaleName && `stated in ${units.scaleName}`,
+  ].filter(Boolean).join(' · '));
+  doc.moveDown();
+  drawSummary(doc, summaryCards(model, fmt));
+
+  const sensitivity = sensitivityTable(model, fmt);
+  if (sensitivity) {
+    heading(doc, 'Sensitivity Analysis · Enterprise Value');
+    drawTable(
+      doc,
+      [sensitivity.corner, ...sensitivity.cols],
+      sensitivity.rows.map((r) => [r.label, ...r.cells]),
+      [110, ...sensitivity.cols.map(() => 90)],
+      { fontSize: 9, highlight: (i) => sensitivity.rows[i].base },
+    );
+  }
+
+  drawCharts(doc, reportCharts(model));
+
+  if (model.diagnostics) {
+    doc.addPage(PAGE);
+    drawDiagnostics(doc, model.diagnostics);
+  }
+
+  doc.end();
+  return done;
+}
+
+// ── PNG zip ──
+
+// Each chart as a high-resolution PNG, numbered in dashboard order
+function buildPNGZip(model, { scale = 2 } = {}) {
+  const zip = new JSZip();
+  reportCharts(model).forEach((chart, i) => {
+    zip.file(`${String(i + 1).padStart(2, '0')}-${chart.key}.png`, renderChart(chart.config, { scale }));
+  });
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+// ── Worker thread ──
+
+// Rendering takes seconds of CPU, so the server hands it to one worker thread
+// and keeps serving meanwhile; jobs queue there one after another
+const BUILDERS = { pdf: buildPDF, png: buildPNGZip };
+
+// Parsing evaluates every formula in the workbook, which a large upload makes
+// slow too. Without a model, says why from a fresh read (parsing evaluated in place)
+function parseUpload(data, options) {
+  const parsed = parseFile(data, options);
+  return parsed ? { parsed } : { parsed: null, diagnostics: diagnoseDCF(readWorkbook(data), options) };
+}
+
+const JOBS = { ...BUILDERS, parse: parseUpload };
+
+let worker = null;
+let jobSeq = 0;
+const jobs = new Map();  // id → { resolve, reject }
+
+function startWorker() {
+  worker = new Worker(__filename);
+  worker.on('message', ({ id, result, error }) => {
+    const job = jobs.get(id);
+    jobs.delete(id);
+    if (error) job.reject(new Error(error));
+    else job.resolve(result);
+  });
+  // A crashed worker fails what it held; the next job starts a fresh one
+  worker.on('error', (err) => {
+    for (const job of jobs.values()) job.reject(err);
+    jobs.clear();
+    worker = null;
+  });
+  worker.on('exit', () => { worker = null; });
+  worker.unref();
+}
+
+function runJob(name, args) {
+  if (!worker) startWorker();
+  const id = ++jobSeq;
+  return new Promise((resolve, reject) => {
+    jobs.set(id, { resolve, reject });
+    worker.postMessage({ id, name, args });
+  });
+}
+
+// `format` ('pdf' or 'png') of the model built off the main thread: a Promise of a Buffer
+function buildReport(format, model, options) {
+  if (!Object.hasOwn(BUILDERS, format)) return Promise.reject(new Error(`Unknown report format: ${format}`));
+  return runJob(format, [model, options]).then((body) => Buffer.from(body.buffer, body.byteOffset, body.byteLength));
+}
+
+// parseFile off the main thread: a Promise of { parsed } or { parsed: null, diagnostics }
+function parseModel(data, options) {
+  return runJob('parse', [data, options]);
+}
+
+if (!isMainThread) {
+  parentPort.on('message', async ({ id, name, args }) => {
+    try {
+      const result = await JOBS[name](...args);
+      parentPort.postMessage({ id, result });
+    } catch (err) {
+      parentPort.postMessage({ id, error: err.message });
+    }
+  });
+}
+
+module.exports = { reportCharts, renderChart, buildPDF, buildPNGZip, buildReport, parseModel };
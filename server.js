@@ -16,6 +16,9 @@ const helmet = require('helmet');
 const cors = require('cors');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
+const { normalize, LABEL_MAP } = require('./public/parser');
+const { valueDCF, reconcile } = require('./public/valuation');
+const { buildReport, parseModel } = require('./report');
 
 // ── 1. App + PORT ──
 const app = express();
@@ -103,6 +106,17 @@ async function initDB() {
       data BYTEA NOT NULL,
       uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     );
+
+    ALTER TABLE files ADD COLUMN IF NOT EXISTS scenarios JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+    CREATE TABLE IF NOT EXISTS label_mappings (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      label TEXT NOT NULL,
+      key TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (user_id, label)
+    );
   `);
 }
 
@@ -123,6 +137,14 @@ const authLimiter = rateLimit({
   message: { error: 'Too many requests, please try again later.' },
 });
 
+const parseLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 100,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Too many requests, please try again later.' },
+});
+
 // ── 6. Health check ──
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', uptime: process.uptime() });
@@ -206,15 +228,71 @@ app.get('/api/me', (req, res) => {
 
 // ── 8. FILE ROUTES ──
 
-// POST /api/files — upload and save a file
+// Scenarios kept with a file: [{ name, source: 'workbook' | 'user', key, probability, overrides }].
+// Workbook cases carry their key and a probability; a user's own cases carry
+// overrides of the base model's inputs.
+const SCENARIO_OVERRIDE_KEYS = new Set(['wacc', 'terminalGrowth', 'exitMultiple', 'revenueGrowth', 'ebitdaMargin']);
+const MAX_SCENARIOS = 20;
+
+// { scenarios } cleaned for storage, or { error }
+function cleanScenarios(list) {
+  if (!Array.isArray(list)) return { error: 'scenarios must be an array' };
+  if (list.length > MAX_SCENARIOS) return { error: `At most ${MAX_SCENARIOS} scenarios` };
+
+  const scenarios = [];
+  for (const sc of list) {
+    const name = sc && typeof sc.name === 'string' ? sc.name.trim() : '';
+    if (!name || name.length > 60) {
+      return { error: 'Each scenario needs a name of up to 60 characters' };
+    }
+    const probability = Number(sc.probability);
+    if (!Number.isFinite(probability) || probability < 0 || probability > 100) {
+      return { error: `Probability of ${name} must be between 0 and 100` };
+    }
+    const overrides = {};
+    for (const [key, value] of Object.entries(sc.overrides || {})) {
+      if (!SCENARIO_OVERRIDE_KEYS.has(key)) {
+        return { error: `Unknown scenario input: ${key}` };
+      }
+      if (value == null) continue;
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { error: `${key} of ${name} must be a number` };
+      }
+      overrides[key] = value;
+    }
+    const workbook = sc.source === 'workbook';
+    if (workbook && typeof sc.key !== 'string') {
+      return { error: `Workbook scenario ${name} needs its key` };
+    }
+    scenarios.push({ name, source: workbook ? 'workbook' : 'user', key: workbook ? sc.key : null, probability, overrides });
+  }
+  return { scenarios };
+}
+
+// POST /api/files — upload and save a file, with its scenarios as a JSON form field
 app.post('/api/files', requireAuth, upload.single('file'), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'No file uploaded' });
   }
 
+  let scenarios = [];
+  if (req.body && req.body.scenarios) {
+    let list;
+    try {
+      list = JSON.parse(req.body.scenarios);
+    } catch (err) {
+      return res.status(400).json({ error: 'scenarios must be JSON' });
+    }
+    const cleaned = cleanScenarios(list);
+    if (cleaned.error) {
+      return res.status(400).json({ error: cleaned.error });
+    }
+    scenarios = cleaned.scenarios;
+  }
+
   const result = await pool.query(
-    'INSERT INTO files (user_id, filename, data) VALUES ($1, $2, $3) RETURNING id',
-    [req.session.userId, req.file.originalname, req.file.buffer]
+    'INSERT INTO files (user_id, filename, data, scenarios) VALUES ($1, $2, $3, $4) RETURNING id',
+    [req.session.userId, req.file.originalname, req.file.buffer, JSON.stringify(scenarios)]
   );
 
   res.status(201).json({
@@ -249,6 +327,78 @@ app.get('/api/files/:id', requireAuth, async (req, res) => {
   res.send(file.data);
 });
 
+// GET /api/files/:id/scenarios — the scenarios saved with a file
+app.get('/api/files/:id/scenarios', requireAuth, async (req, res) => {
+  const result = await pool.query(
+    'SELECT scenarios FROM files WHERE id = $1 AND user_id = $2',
+    [req.params.id, req.session.userId]
+  );
+  if (!result.rows[0]) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  res.json(result.rows[0].scenarios);
+});
+
+// PUT /api/files/:id/scenarios — replace a file's scenarios: { scenarios: [...] }
+app.put('/api/files/:id/scenarios', requireAuth, async (req, res) => {
+  const cleaned = cleanScenarios(req.body && req.body.scenarios);
+  if (cleaned.error) {
+    return res.status(400).json({ error: cleaned.error });
+  }
+
+  const result = await pool.query(
+    'UPDATE files SET scenarios = $1 WHERE id = $2 AND user_id = $3',
+    [JSON.stringify(cleaned.scenarios), req.params.id, req.session.userId]
+  );
+  if (result.rowCount === 0) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  res.json({ message: 'Scenarios saved', count: cleaned.scenarios.length });
+});
+
+const EXPORT_FORMATS = {
+  pdf: { type: 'application/pdf', ext: 'pdf' },
+  png: { type: 'application/zip', ext: 'zip' },
+};
+
+// GET /api/files/:id/export?format=pdf|png — the dashboard report for a saved
+// file, parsed with the user's label mappings: a paginated PDF (default), or a
+// zip of high-resolution chart PNGs. Parsing and rendering run on report.js's
+// worker thread.
+app.get('/api/files/:id/export', requireAuth, parseLimiter, async (req, res) => {
+  const key = String(req.query.format || 'pdf');
+  const format = Object.hasOwn(EXPORT_FORMATS, key) ? EXPORT_FORMATS[key] : null;
+  if (!format) {
+    return res.status(400).json({ error: 'format must be pdf or png' });
+  }
+
+  const result = await pool.query(
+    'SELECT filename, data FROM files WHERE id = $1 AND user_id = $2',
+    [req.params.id, req.session.userId]
+  );
+  const file = result.rows[0];
+  if (!file) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  const mappings = await loadMappings(req.session.userId);
+  let parsed;
+  try {
+    ({ parsed } = await parseModel(file.data, { mappings }));
+  } catch (err) {
+    return res.status(422).json({ error: 'Error parsing file: ' + err.message });
+  }
+  if (!parsed) {
+    return res.status(422).json({ error: 'Could not detect DCF model data in this file' });
+  }
+
+  const body = await buildReport(key, parsed, { filename: file.filename, fileId: req.params.id });
+  const base = file.filename.replace(/\.[^.]+$/, '').replace(/["\\]/g, '');
+  res.setHeader('Content-Disposition', `attachment; filename="${base}-report.${format.ext}"`);
+  res.setHeader('Content-Type', format.type);
+  res.send(body);
+});
+
 // DELETE /api/files/:id — delete a saved file
 app.delete('/api/files/:id', requireAuth, async (req, res) => {
   const result = await pool.query(
@@ -261,7 +411,119 @@ app.delete('/api/files/:id', requireAuth, async (req, res) => {
   res.json({ message: 'File deleted' });
 });
 
-// ── 9. Global error handler ──
+// ── 9. LABEL MAPPING ROUTES ──
+
+const MAPPABLE_KEYS = new Set(LABEL_MAP.map((entry) => entry.key));
+const MAX_MAPPINGS = 200;  // per request
+
+// { normalized label → key } for a user, as the parser expects it
+async function loadMappings(userId) {
+  const result = await pool.query('SELECT label, key FROM label_mappings WHERE user_id = $1', [userId]);
+  const mappings = {};
+  for (const row of result.rows) mappings[row.label] = row.key;
+  return mappings;
+}
+
+// GET /api/mappings — list the logged-in user's custom label mappings
+app.get('/api/mappings', requireAuth, async (req, res) => {
+  const result = await pool.query(
+    'SELECT id, label, key, created_at FROM label_mappings WHERE user_id = $1 ORDER BY label',
+    [req.session.userId]
+  );
+  res.json(result.rows);
+});
+
+// PUT /api/mappings — save (or replace) mappings: { mappings: [{ label, key }] }
+app.put('/api/mappings', requireAuth, async (req, res) => {
+  const { mappings } = req.body;
+  if (!Array.isArray(mappings) || mappings.length === 0) {
+    return res.status(400).json({ error: 'mappings must be a non-empty array' });
+  }
+  if (mappings.length > MAX_MAPPINGS) {
+    return res.status(400).json({ error: `At most ${MAX_MAPPINGS} mappings at a time` });
+  }
+
+  const rows = [];
+  for (const m of mappings) {
+    const label = m && typeof m.label === 'string' ? normalize(m.label) : '';
+    if (!label) {
+      return res.status(400).json({ error: 'Each mapping needs a label' });
+    }
+    if (!MAPPABLE_KEYS.has(m.key)) {
+      return res.status(400).json({ error: `Unknown key: ${m.key}` });
+    }
+    rows.push([label, m.key]);
+  }
+
+  // All or none: a failed insert leaves the user's mappings as they were
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const [label, key] of rows) {
+      await client.query(
+        `INSERT INTO label_mappings (user_id, label, key) VALUES ($1, $2, $3)
+         ON CONFLICT (user_id, label) DO UPDATE SET key = EXCLUDED.key`,
+        [req.session.userId, label, key]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  res.json({ message: 'Mappings saved', count: rows.length });
+});
+
+// DELETE /api/mappings/:id — remove one custom mapping
+app.delete('/api/mappings/:id', requireAuth, async (req, res) => {
+  const result = await pool.query(
+    'DELETE FROM label_mappings WHERE id = $1 AND user_id = $2',
+    [req.params.id, req.session.userId]
+  );
+  if (result.rowCount === 0) {
+    return res.status(404).json({ error: 'Mapping not found' });
+  }
+  res.json({ message: 'Mapping deleted' });
+});
+
+// ── 10. PARSE ROUTES ──
+
+const PARSEABLE_EXTENSIONS = ['xlsx', 'xls', 'csv'];
+
+// POST /api/parse — extract normalized { years, series, scalars } from an upload
+// (a logged-in user's saved label mappings are applied)
+app.post('/api/parse', parseLimiter, upload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  const ext = req.file.originalname.split('.').pop().toLowerCase();
+  if (!PARSEABLE_EXTENSIONS.includes(ext)) {
+    return res.status(400).json({ error: 'Unsupported file type. Please upload .xlsx, .xls, or .csv' });
+  }
+
+  const mappings = req.session.userId ? await loadMappings(req.session.userId) : {};
+
+  // Parsed on report.js's worker thread, like the exports
+  let parsed, diagnostics;
+  try {
+    ({ parsed, diagnostics } = await parseModel(req.file.buffer, { mappings }));
+  } catch (err) {
+    return res.status(422).json({ error: 'Error parsing file: ' + err.message });
+  }
+  if (!parsed) {
+    return res.status(422).json({ error: 'Could not detect DCF model data in this file', diagnostics });
+  }
+
+  // Recalculate the DCF from the extracted inputs and set it against the workbook's figures
+  const valuation = valueDCF(parsed);
+  res.json({ filename: req.file.originalname, ...parsed, valuation, reconciliation: reconcile(parsed, valuation) });
+});
+
+// ── 11. Global error handler ──
 app.use((err, req, res, next) => {
   console.error('Unhandled error:', err);
   const status = err.status || 500;
@@ -272,7 +534,7 @@ app.use((err, req, res, next) => {
   });
 });
 
-// ── 10. Start the server ──
+// ── 12. Start the server ──
 initDB()
   .then(() => {
     app.listen(PORT, () => {
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+const { evaluateWorkbook } = require('../public/formulas');
+
+// A one-sheet workbook; strings starting with "=" are formulas saved without a value
+function workbook(cells, names = []) {
+  const sheet = {};
+  for (const [addr, v] of Object.entries(cells)) {
+    sheet[addr] = typeof v === 'string' && v[0] === '=' ? { t: 'z', f: v.slice(1) } : { t: typeof v === 'number' ? 'n' : 's', v };
+  }
+  const addrs = Object.keys(cells).map((a) => XLSX.utils.decode_cell(a));
+  sheet['!ref'] = XLSX.utils.encode_range({
+    s: { r: 0, c: 0 },
+    e: { r: Math.max(...addrs.map((a) => a.r)), c: Math.max(...addrs.map((a) => a.c)) },
+  });
+  return { SheetNames: ['DCF'], Sheets: { DCF: sheet }, Workbook: { Names: names } };
+}
+
+const value = (wb, addr) => wb.Sheets.DCF[addr].v;
+
+test('evaluateWorkbook fills in formulas without cached values', () => {
+  const wb = workbook({
+    A1: 100, A2: '=A1*1.1', A3: '=SUM(A1:A2)', B1: '=Rate*A1', B2: '=IF(A1>50,"high","low")',
+  }, [{ Name: 'Rate', Ref: 'DCF!$A$2' }]);
+  const result = evaluateWorkbook(wb);
+  assert.equal(result.evaluated, 4);
+  assert.deepEqual(result.errors, []);
+  assert.ok(Math.abs(value(wb, 'A2') - 110) < 1e-9);
+  assert.ok(Math.abs(value(wb, 'A3') - 210) < 1e-9);
+  assert.ok(Math.abs(value(wb, 'B1') - 11000) < 1e-9);
+  assert.equal(value(wb, 'B2'), 'high');
+});
+
+test('evaluateWorkbook reports formula errors', () => {
+  const wb = workbook({ A1: 0, A2: '=1/A1', A3: '=A2+1', A4: '=NOSUCH(1)' });
+  const result = evaluateWorkbook(wb);
+  assert.deepEqual(result.errors.map((e) => [e.cell, e.error]), [['A2', '#DIV/0!'], ['A3', '#DIV/0!'], ['A4', '#NAME?']]);
+  assert.equal(wb.Sheets.DCF.A2.t, 'e');
+});
+
+test('evaluateWorkbook reads circular references as 0, as Excel does', () => {
+  const wb = workbook({ A1: '=B1+1', B1: '=A1*2', C1: '=A1+5', D1: '=D1+1', E1: 7, E2: '=E1*3' });
+  const result = evaluateWorkbook(wb);
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.cycles.map((c) => c.cell).sort(), ['A1', 'B1', 'D1']);
+  assert.equal(value(wb, 'A1'), 0);
+  assert.equal(value(wb, 'B1'), 0);
+  assert.equal(value(wb, 'D1'), 0);
+  // Cells reading a cycle see its 0; cells outside one are untouched
+  assert.equal(value(wb, 'C1'), 5);
+  assert.equal(value(wb, 'E2'), 21);
+});
+
+test('evaluateWorkbook follows long chains without running out of stack', () => {
+  const cells = { A1: 1 };
+  for (let r = 2; r <= 50000; r++) cells['A' + r] = `=A${r - 1}+1`;
+  // Evaluated from the far end of the chain first
+  const reversed = Object.fromEntries(Object.entries(cells).reverse());
+  for (const wb of [workbook(cells), workbook(reversed)]) {
+    const result = evaluateWorkbook(wb);
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.evaluated, 49999);
+    assert.equal(value(wb, 'A50000'), 50000);
+  }
+});
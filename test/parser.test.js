@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+const { matchLabelDetail, parseDCF, deriveMetrics, equityBridge, parsePeriod } = require('../public/parser');
+
+test('matchLabelDetail picks the closest metric for labels that share words', () => {
+  const cases = [
+    ['Debt / (Debt + Equity)', 'debtWeight'],
+    ['Debt / Equity', 'debtToEquity'],
+    ['Preferred shares', 'preferred'],
+    ['Preference shares', 'preferred'],
+    ['Diluted shares outstanding', 'sharesOutstanding'],
+    ['Minority interest', 'minorityInterest'],
+    ['Net cash / (debt)', 'netDebt'],
+    ['Net debt', 'netDebt'],
+    ['Levered beta', 'beta'],
+    ['Pre-tax cost of debt', 'costOfDebt'],
+  ];
+  for (const [label, key] of cases) {
+    const match = matchLabelDetail(label);
+    assert.equal(match && match.key, key, label);
+  }
+});
+
+test('matchLabelDetail leaves out labels a metric excludes', () => {
+  for (const label of ['Unlevered beta', 'Asset beta', 'After-tax cost of debt', 'Post-tax cost of debt']) {
+    assert.equal(matchLabelDetail(label), null, label);
+  }
+});
+
+test('matchLabelDetail prefers the user mapping', () => {
+  const match = matchLabelDetail('Debt / Equity', { 'debt equity': 'debtWeight' });
+  assert.deepEqual(match, { key: 'debtWeight', pattern: 'debt equity', via: 'mapping', alternatives: [] });
+});
+
+test('parseDCF reads net cash as negative net debt', () => {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([
+    ['', 'FY2024A', 'FY2025E', 'FY2026E'],
+    ['Revenue', 1000, 1100, 1200],
+    ['Free Cash Flow', 80, 100, 110],
+    ['WACC', 10],
+    ['Terminal Growth', 2],
+    ['Enterprise Value', 2000],
+    ['Net cash / (debt)', 300],
+    ['Preferred shares', 50],
+    ['Shares outstanding', 100],
+  ]), 'DCF');
+  const model = parseDCF(wb);
+  assert.equal(model.scalars.netDebt, -300);
+  assert.equal(model.scalars.preferred, 50);
+  assert.equal(model.scalars.sharesOutstanding, 100);
+  assert.equal(equityBridge(model.scalars).equityValue, 2250);
+});
+
+test('deriveMetrics fills in margins, terminal values and their implied drivers', () => {
+  const periods = ['FY2024A', 'FY2025E', 'FY2026E'].map((p) => parsePeriod(p));
+  const series = {
+    revenue: [1000, 1100, 1200],
+    cogs: [400, 440, 480],
+    ebitda: [200, 220, 240],
+    da: [50, 55, 60],
+    fcf: [80, 100, 110],
+  };
+  const scalars = { wacc: 10, terminalGrowth: 2, exitMultiple: 8 };
+  const sources = { series: {}, scalars: {} };
+  deriveMetrics(series, scalars, periods, sources);
+
+  assert.deepEqual(series.grossProfit, [600, 660, 720]);
+  assert.deepEqual(series.grossMargin, [60, 60, 60]);
+  assert.deepEqual(series.ebit, [150, 165, 180]);
+  assert.deepEqual(sources.series.ebit[0], { derived: true, formula: 'EBITDA − |D&A|' });
+  assert.equal(scalars.terminalValueGrowth, (110 * 1.02) / 0.08);
+  assert.equal(scalars.terminalValueExit, 240 * 8);
+  assert.equal(scalars.impliedMultiple, scalars.terminalValueGrowth / 240);
+  assert.ok(Math.abs(scalars.impliedGrowth - ((1920 * 0.1 - 110) / (1920 + 110)) * 100) < 1e-9);
+  // Both methods stated: no single terminal value is picked for the model
+  assert.equal(scalars.terminalValue, undefined);
+});
+
+test('equityBridge walks enterprise value to equity and per share', () => {
+  const bridge = equityBridge({ enterpriseValue: 1000, debt: 300, cash: -100, preferred: 50, netDebt: 999, sharesOutstanding: 10 });
+  assert.deepEqual(bridge.steps.map((s) => [s.key, s.value]), [
+    ['enterpriseValue', 1000],
+    ['debt', -300],
+    ['preferred', -50],
+    ['cash', 100],
+  ]);
+  assert.equal(bridge.equityValue, 750);
+  assert.equal(bridge.perShare, 75);
+
+  assert.equal(equityBridge({ enterpriseValue: 1000, netDebt: -300 }).equityValue, 1300);
+  assert.equal(equityBridge({ enterpriseValue: 1000 }).perShare, null);
+  assert.equal(equityBridge({ debt: 300 }), null);
+});
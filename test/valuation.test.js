@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePeriod } = require('../public/parser');
+const { valueDCF, flexModel, irr, xirr, impliedDriver } = require('../public/valuation');
+
+const close = (actual, expected, tolerance = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance * Math.max(1, Math.abs(expected)), `${actual} ≉ ${expected}`);
+
+// One actual year, then three forecast years valued from its end
+function model(scalars = {}) {
+  return {
+    periods: ['FY2024A', 'FY2025E', 'FY2026E', 'FY2027E'].map((p) => parsePeriod(p)),
+    series: {
+      revenue: [1000, 1100, 1200, 1300],
+      ebitda: [200, 220, 240, 260],
+      fcf: [80, 100, 110, 121],
+    },
+    scalars: { wacc: 10, terminalGrowth: 2, ...scalars },
+  };
+}
+
+// Years from the valuation date (2024-12-31) to each forecast year end
+const years = [365, 730, 1095].map((days) => days / 365.25);
+
+test('valueDCF discounts the forecast and a perpetuity-growth terminal value', () => {
+  const result = valueDCF(model());
+  const pvFCF = [100, 110, 121].reduce((sum, fcf, i) => sum + fcf / Math.pow(1.1, years[i]), 0);
+  const terminalValue = (121 * 1.02) / 0.08;
+  assert.equal(result.terminalMethod, 'growth');
+  assert.equal(result.valuationDate, '2024-12-31');
+  close(result.pvFCF, pvFCF);
+  close(result.terminalValue, terminalValue);
+  close(result.enterpriseValue, pvFCF + terminalValue / Math.pow(1.1, years[2]));
+  close(result.impliedMultiple, terminalValue / 260);
+});
+
+test('valueDCF values an exit-multiple terminal on the final EBITDA', () => {
+  const result = valueDCF(model({ terminalGrowth: null, exitMultiple: 8 }));
+  assert.equal(result.terminalMethod, 'exit');
+  close(result.terminalValue, 260 * 8);
+  close(result.pvTerminal, (260 * 8) / Math.pow(1.1, years[2]));
+});
+
+test('valueDCF moves flows to mid-period with the mid-year convention', () => {
+  const end = valueDCF(model());
+  const mid = valueDCF(model(), { midYear: true });
+  close(mid.rows[0].t, years[0] - years[0] / 2);
+  assert.ok(mid.enterpriseValue > end.enterpriseValue);
+});
+
+test('valueDCF needs WACC above terminal growth', () => {
+  assert.equal(valueDCF(model({ wacc: 2 })), null);
+  assert.equal(valueDCF(model({ wacc: null })), null);
+});
+
+test('irr and xirr solve for the rate that zeroes the flows', () => {
+  close(irr([-100, 110]), 10);
+  const rate = irr([-1000, 300, 400, 500]) / 100;
+  close([-1000, 300, 400, 500].reduce((npv, amount, t) => npv + amount / Math.pow(1 + rate, t), 0), 0);
+  close(xirr([{ date: '2023-01-01', amount: -100 }, { date: '2024-01-01', amount: 110 }]), 10);
+  assert.equal(irr([100, 100]), null);
+});
+
+test('impliedDriver recovers the driver behind a target value', () => {
+  const base = model();
+  const growthTarget = valueDCF(base, { terminalGrowth: 3 }).enterpriseValue;
+  close(impliedDriver(base, 'terminalGrowth', growthTarget).value, 3, 1e-4);
+
+  const flexTarget = valueDCF(flexModel(base, { revenueGrowth: 8 })).enterpriseValue;
+  const implied = impliedDriver(base, 'revenueGrowth', flexTarget);
+  close(implied.value, 8, 1e-4);
+  close(implied.result.enterpriseValue, flexTarget, 1e-4);
+
+  assert.throws(() => impliedDriver(base, 'wacc', growthTarget), /Unknown driver/);
+});